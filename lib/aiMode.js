@@ -35,6 +35,18 @@ const N = {
 	triggerCalc:              { en: "Trigger Calculation Now",                       de: "Berechnung jetzt auslösen",                       ru: "Запустить расчёт сейчас",                 pt: "Acionar cálculo agora",                     nl: "Berekening nu activeren",           fr: "Déclencher le calcul maintenant",     it: "Avvia calcolo ora",                     es: "Activar cálculo ahora",                 pl: "Wyzwól obliczenie teraz",                  uk: "Запустити розрахунок зараз",             "zh-cn": "立即触发计算" },
 };
 
+/**
+ * Get the pricing channel of the active agreement of the planning MaLo
+ * (published by the main adapter for the configured planning MaLo, or the first one)
+ * @param {object} adapter - ioBroker adapter instance
+ * @param {string} accountPath - Relative path of the planning account
+ * @returns {Promise<string|null>} Relative path of the pricing channel, null before the contract is known
+ */
+async function getPricingPath(adapter, accountPath) {
+	const state = await adapter.getStateAsync(`${accountPath}.contract.pricingPath`);
+	return state && state.val ? `${accountPath}.${state.val}` : null;
+}
+
 /**
  * Weather Service - Fetches weather forecasts from brightsky ioBroker adapter (Deutscher Wetterdienst)
  */
@@ -545,7 +557,7 @@ ${pricingSection}${consumptionSection}
 SCHEDULED CHEAP CHARGING PHASES (next 24h from Octopus dispatch):
 ${context.cheapPhases.length > 0
 	? context.cheapPhases.map(phase =>
-		`- ${phase.start} to ${phase.end}: ${phase.deltaKwh} kWh planned`
+		`- ${phase.start} to ${phase.end}: ${phase.kwh} kWh planned`
 	).join('\n')
 	: 'No specific dispatch sessions scheduled (use tariff timeslots above for cheap windows)'}
 
@@ -1034,6 +1046,9 @@ class AIDecisionEngine {
 		this._claudeAI = new ClaudeAI(adapter, config);
 		this._consumptionAnalyzer = new ConsumptionAnalyzer(adapter, config);
 
+		// Octopus data of the planning account (resolved by the main adapter)
+		this._accountPath = `accounts.${config.planningAccount}`;
+
 		this._decisionInterval = null;
 	}
 
@@ -1193,20 +1208,24 @@ class AIDecisionEngine {
 	async _getPricingTimeslots() {
 		const timeslots = [];
 		try {
+			const pricingPath = await getPricingPath(this._adapter, this._accountPath);
+			if (!pricingPath) {
+				return timeslots;
+			}
 			for (let i = 0; i < 4; i++) {
 				const rateState = await this._adapter.getStateAsync(
-					`pricing.malo_0_agreement_0.timeslot_${i}.grossRate`
+					`${pricingPath}.timeslot_${i}.grossRate`
 				);
 				if (!rateState || rateState.val === null) break;
 
 				const nameState = await this._adapter.getStateAsync(
-					`pricing.malo_0_agreement_0.timeslot_${i}.name`
+					`${pricingPath}.timeslot_${i}.name`
 				);
 				const fromState = await this._adapter.getStateAsync(
-					`pricing.malo_0_agreement_0.timeslot_${i}.activeFrom_0`
+					`${pricingPath}.timeslot_${i}.activeFrom_0`
 				);
 				const toState = await this._adapter.getStateAsync(
-					`pricing.malo_0_agreement_0.timeslot_${i}.activeTo_0`
+					`${pricingPath}.timeslot_${i}.activeTo_0`
 				);
 
 				timeslots.push({
@@ -1224,29 +1243,30 @@ class AIDecisionEngine {
 
 	/**
 	 * Get cheap electricity phases from adapter states
+	 * @returns {Promise<Array<{start: string, end: string, kwh: number}>>} Planned dispatches of the next 24 hours
 	 */
 	async _getCheapPhases() {
 		try {
-			// Read plannedDispatches from adapter state (stored by main adapter)
-			const state = await this._adapter.getStateAsync('plannedDispatches');
+			// Normalized planned dispatches written by the main adapter (schema: Dispatch in lib/dispatches.js)
+			const state = await this._adapter.getStateAsync(`${this._accountPath}.dispatches.planned.json`);
 			if (!state || !state.val) {
-				this._adapter.log.debug('No plannedDispatches available');
+				this._adapter.log.debug('No planned dispatches available');
 				return [];
 			}
 
-			const dispatches = JSON.parse(state.val);
+			const dispatches = JSON.parse(String(state.val));
 			const now = new Date();
 			const cutoff = new Date(now.getTime() + 24 * 60 * 60 * 1000); // Next 24 hours
 
 			return dispatches
 				.filter(d => {
-					const start = new Date(d.startDt);
+					const start = new Date(d.start);
 					return start >= now && start <= cutoff;
 				})
 				.map(d => ({
-					start: d.startDt,
-					end: d.endDt,
-					deltaKwh: d.delta.kwh
+					start: d.start,
+					end: d.end,
+					kwh: d.kwh
 				}));
 		} catch (error) {
 			this._adapter.log.error(`Error reading cheap phases: ${error.message}`);
@@ -1383,6 +1403,9 @@ class SmartChargingPlanner {
 		this._weatherService = new WeatherService(adapter, config);
 		this._pvForecast = new PVForecast(adapter, config);
 		this._consumptionAnalyzer = new ConsumptionAnalyzer(adapter, config);
+
+		// Octopus data of the planning account (resolved by the main adapter)
+		this._accountPath = `accounts.${config.planningAccount}`;
 	}
 
 	async initialize() {
@@ -1979,8 +2002,13 @@ class SmartChargingPlanner {
 	 */
 	async _getCheapPhaseFromPricing() {
 		try {
-			const rate0State = await this._adapter.getStateAsync('pricing.malo_0_agreement_0.timeslot_0.grossRate');
-			const rate1State = await this._adapter.getStateAsync('pricing.malo_0_agreement_0.timeslot_1.grossRate');
+			const pricingPath = await getPricingPath(this._adapter, this._accountPath);
+			if (!pricingPath) {
+				this._adapter.log.debug('SmartChargingPlanner: Pricing path of the planning MaLo not yet known');
+				return null;
+			}
+			const rate0State = await this._adapter.getStateAsync(`${pricingPath}.timeslot_0.grossRate`);
+			const rate1State = await this._adapter.getStateAsync(`${pricingPath}.timeslot_1.grossRate`);
 
 			if (!rate0State || rate0State.val === null || !rate1State || rate1State.val === null) {
 				this._adapter.log.debug('SmartChargingPlanner: Pricing rate states not yet populated');
@@ -1993,10 +2021,10 @@ class SmartChargingPlanner {
 			this._adapter.log.debug(`SmartChargingPlanner: Cheap timeslot=${cheapIdx} (${cheapRate} ct/kWh)`);
 
 			const fromState = await this._adapter.getStateAsync(
-				`pricing.malo_0_agreement_0.timeslot_${cheapIdx}.activeFrom_0`
+				`${pricingPath}.timeslot_${cheapIdx}.activeFrom_0`
 			);
 			const toState = await this._adapter.getStateAsync(
-				`pricing.malo_0_agreement_0.timeslot_${cheapIdx}.activeTo_0`
+				`${pricingPath}.timeslot_${cheapIdx}.activeTo_0`
 			);
 
 			if (!fromState || !fromState.val || !toState || !toState.val) {
@@ -0,0 +1,213 @@
+/**
+ * Cost tracking for ioBroker.calamari
+ *
+ * Multiplies the grid import logged by the history adapter with the rate
+ * that applied in each interval (timeslot or dispatch window) and sums up
+ * the cost per day. Intervals are priced once, when they are complete, and
+ * the day sums are persisted, so a tariff change does not reprice past days
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { buildPriceTimeline } = require("./tariff");
+
+const INTERVAL_MS = 15 * 60 * 1000; // history is aggregated to 15 minute averages
+
+/**
+ * Energy and cost of a period
+ * @typedef {Object} PeriodCost
+ * @property {number} kwh - Grid import in kWh
+ * @property {number} cost - Cost in EUR
+ * @property {number|null} averageRate - Average rate paid in ct/kWh, null without import
+ */
+
+/**
+ * Cost of the grid import of one household, per day
+ */
+class CostTracker {
+	/**
+	 * @param {object} adapter - ioBroker adapter instance
+	 * @param {object} config - Adapter configuration (historyInstance, gridPowerState)
+	 * @param {string} file - Path of the file the day sums are persisted in
+	 */
+	constructor(adapter, config, file) {
+		this._adapter = adapter;
+		this._historyInstance = config.historyInstance || "sql.0";
+		this._gridPowerState = config.gridPowerState || "evcc.0.status.grid";
+		this.file = file;
+		/** @type {Map<number, {kwh: number, cost: number, until: number}>} Day sums by start of day, priced up to until */
+		this._days = new Map();
+	}
+
+	/**
+	 * Read the persisted day sums, a missing file starts empty
+	 * @returns {Promise<void>}
+	 */
+	async load() {
+		try {
+			const days = JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+			for (const day of days) {
+				this._days.set(day.day, { kwh: day.kwh, cost: day.cost, until: day.until });
+			}
+			this._adapter.log.debug(`Loaded the cost of ${this._days.size} days from ${this.file}`);
+		} catch (e) {
+			if (e.code !== "ENOENT") {
+				this._adapter.log.warn(`Failed to read cost file ${this.file}: ${e}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the day sums
+	 * @returns {Promise<void>}
+	 */
+	async save() {
+		const days = [...this._days.entries()].sort(([a], [b]) => a - b).map(([day, sum]) => ({ day, ...sum }));
+		try {
+			await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+			await fs.promises.writeFile(this.file, JSON.stringify(days));
+		} catch (e) {
+			this._adapter.log.warn(`Failed to write cost file ${this.file}: ${e}`);
+		}
+	}
+
+	/**
+	 * Query the average grid power per interval from the history adapter
+	 * @param {Date} start - Start of the period
+	 * @param {Date} end - End of the period
+	 * @returns {Promise<Array<{ts: number, val: number}>>} Average grid power in W, positive = import
+	 */
+	async _queryGridPower(start, end) {
+		const result = /** @type {{result?: Array<{ts: number, val: number}>, error?: string} | undefined} */ (
+			await this._adapter.sendToAsync(
+				this._historyInstance,
+				"getHistory",
+				{
+					id: this._gridPowerState,
+					options: { start: start.getTime(), end: end.getTime(), aggregate: "average", step: INTERVAL_MS },
+				},
+				{ timeout: 30000 },
+			)
+		);
+		if (result && result.error) {
+			throw new Error(result.error);
+		}
+		return (result && result.result) || [];
+	}
+
+	/**
+	 * Energy and cost of one day up to the last complete interval the history has a value for. Only the
+	 * intervals added since the last calculation are priced with the current slots and added to the stored
+	 * sum of the day; intervals the history instance has not written yet are priced on a later run. Each
+	 * value applies from the start of its interval up to the interval of the next value, so gaps in the
+	 * history are filled with the last power.
+	 * @param {Date} day - Start of the day (local midnight)
+	 * @param {Date} now - Current time
+	 * @param {import("./tariff").TariffSlot[]} slots - Slots of the active agreement
+	 * @param {Array<{start: string, end: string}>} dispatches - Completed and planned dispatches, sorted by start
+	 * @returns {Promise<{kwh: number, cost: number}>} Grid import in kWh and cost in EUR
+	 */
+	async _dayCost(day, now, slots, dispatches) {
+		const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+		const end = new Date(Math.min(nextDay.getTime(), Math.floor(now.getTime() / INTERVAL_MS) * INTERVAL_MS));
+		const stored = this._days.get(day.getTime()) || { kwh: 0, cost: 0, until: day.getTime() };
+		if (stored.until >= end.getTime()) {
+			return stored;
+		}
+
+		const start = new Date(stored.until);
+		const timeline = buildPriceTimeline(slots, dispatches, start, end);
+		const points = await this._queryGridPower(start, end);
+
+		const values = points
+			.filter((point) => point.ts >= start.getTime() && point.ts < end.getTime())
+			.sort((a, b) => a.ts - b.ts);
+		if (values.length === 0) {
+			return stored;
+		}
+		const intervalStart = (ts) => Math.floor(ts / INTERVAL_MS) * INTERVAL_MS;
+		const until = Math.min(intervalStart(values[values.length - 1].ts) + INTERVAL_MS, end.getTime());
+
+		let kwh = 0;
+		let cost = 0;
+		values.forEach((point, index) => {
+			const power = Number(point.val);
+			if (!(power > 0)) {
+				return;
+			}
+			const from = intervalStart(point.ts);
+			const to = index + 1 < values.length ? intervalStart(values[index + 1].ts) : until;
+			for (const segment of timeline) {
+				const duration = Math.min(to, segment.end) - Math.max(from, segment.start);
+				if (duration <= 0) {
+					continue;
+				}
+				const energy = (power / 1000) * (duration / 3600000);
+				kwh += energy;
+				if (segment.grossRate !== null) {
+					cost += (energy * segment.grossRate) / 100;
+				}
+			}
+		});
+
+		const result = { kwh: stored.kwh + kwh, cost: stored.cost + cost, until };
+		this._days.set(day.getTime(), result);
+		return result;
+	}
+
+	/**
+	 * Cost of today, yesterday and the month to date, dispatch windows at the cheapest rate. Days
+	 * not calculated before (e.g. while the adapter was stopped) are priced with the current tariff.
+	 * @param {import("./tariff").TariffSlot[]} slots - Slots of the active agreement
+	 * @param {Array<{start: string, end: string}>} dispatches - Completed and planned dispatches, sorted by start
+	 * @param {Date} [now] - Current time
+	 * @returns {Promise<{today: PeriodCost, yesterday: PeriodCost, month: PeriodCost}>} Cost per period
+	 */
+	async calculate(slots, dispatches, now = new Date()) {
+		const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+		const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+		const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+		// Days before the previous month are not needed any more
+		for (const day of this._days.keys()) {
+			if (day < Math.min(yesterday.getTime(), monthStart.getTime())) {
+				this._days.delete(day);
+			}
+		}
+
+		const todayCost = await this._dayCost(today, now, slots, dispatches);
+		const yesterdayCost = await this._dayCost(yesterday, now, slots, dispatches);
+		const month = { kwh: todayCost.kwh, cost: todayCost.cost };
+		for (let day = new Date(monthStart); day < today; day.setDate(day.getDate() + 1)) {
+			const dayCost = await this._dayCost(new Date(day), now, slots, dispatches);
+			month.kwh += dayCost.kwh;
+			month.cost += dayCost.cost;
+		}
+		await this.save();
+
+		return {
+			today: CostTracker.summarize(todayCost),
+			yesterday: CostTracker.summarize(yesterdayCost),
+			month: CostTracker.summarize(month),
+		};
+	}
+
+	/**
+	 * Round a period and derive the average rate
+	 * @param {{kwh: number, cost: number}} period - Energy and cost
+	 * @returns {PeriodCost} Rounded period cost
+	 */
+	static summarize(period) {
+		return {
+			kwh: Math.round(period.kwh * 1000) / 1000,
+			cost: Math.round(period.cost * 100) / 100,
+			averageRate: period.kwh > 0 ? Math.round(((period.cost * 100) / period.kwh) * 100) / 100 : null,
+		};
+	}
+}
+
+module.exports = {
+	CostTracker,
+};
@@ -0,0 +1,85 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { CostTracker } = require("./costTracker");
+
+const INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Fake adapter whose history instance reports a constant grid import
+ * @param {number} power - Grid power in W
+ * @param {{writtenUntil?: number, step?: number}} [history] - Values written so far and their distance
+ * @returns {object} Adapter stub
+ */
+function createAdapter(power, history = {}) {
+	const log = { debug() {}, warn() {} };
+	return {
+		log,
+		sendToAsync: async (_instance, _command, { options }) => {
+			const result = [];
+			const until = Math.min(options.end, history.writtenUntil ?? Infinity);
+			for (let ts = options.start; ts < until; ts += history.step ?? INTERVAL_MS) {
+				result.push({ ts, val: power });
+			}
+			return { result };
+		},
+	};
+}
+
+const tariff = (grossRate) => [{ name: "", grossRate, windows: [{ from: 0, to: 0 }] }];
+
+describe("CostTracker => calculate", () => {
+	let file;
+
+	beforeEach(() => {
+		file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "calamari-")), "costs.json");
+	});
+
+	afterEach(() => {
+		fs.rmSync(path.dirname(file), { recursive: true, force: true });
+	});
+
+	it("should price the running day up to the last complete quarter hour", async () => {
+		const tracker = new CostTracker(createAdapter(4000), {}, file);
+		const costs = await tracker.calculate(tariff(30), [], new Date(2026, 2, 10, 1, 20));
+
+		// 00:00-01:15 at 4 kW and 30 ct/kWh, the running quarter hour is left out
+		expect(costs.today).to.deep.equal({ kwh: 5, cost: 1.5, averageRate: 30 });
+	});
+
+	it("should keep the price of past days after a tariff change and a restart", async () => {
+		const first = new CostTracker(createAdapter(1000), {}, file);
+		await first.calculate(tariff(30), [], new Date(2026, 2, 10, 23, 59));
+		await first.calculate(tariff(30), [], new Date(2026, 2, 11, 0, 5));
+
+		const restarted = new CostTracker(createAdapter(1000), {}, file);
+		await restarted.load();
+		const costs = await restarted.calculate(tariff(40), [], new Date(2026, 2, 11, 6, 0));
+
+		expect(costs.yesterday).to.deep.equal({ kwh: 24, cost: 7.2, averageRate: 30 });
+		expect(costs.today).to.deep.equal({ kwh: 6, cost: 2.4, averageRate: 40 });
+	});
+
+	it("should price intervals the history writes late on a later run", async () => {
+		const history = { writtenUntil: new Date(2026, 2, 10, 0, 45).getTime() };
+		const tracker = new CostTracker(createAdapter(2000, history), {}, file);
+
+		const early = await tracker.calculate(tariff(30), [], new Date(2026, 2, 10, 1, 5));
+		expect(early.today).to.deep.equal({ kwh: 1.5, cost: 0.45, averageRate: 30 });
+
+		history.writtenUntil = Infinity;
+		const late = await tracker.calculate(tariff(30), [], new Date(2026, 2, 10, 1, 20));
+		expect(late.today).to.deep.equal({ kwh: 2.5, cost: 0.75, averageRate: 30 });
+	});
+
+	it("should spread a value over the gap to the next value", async () => {
+		const tracker = new CostTracker(createAdapter(1000, { step: 4 * INTERVAL_MS }), {}, file);
+		const costs = await tracker.calculate(tariff(30), [], new Date(2026, 2, 10, 2, 0));
+
+		// Values at 00:00 and 01:00: the first covers the hour, the last only its own quarter hour
+		expect(costs.today).to.deep.equal({ kwh: 1.25, cost: 0.38, averageRate: 30 });
+	});
+});
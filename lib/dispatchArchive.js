@@ -0,0 +1,124 @@
+/**
+ * Dispatch archive for ioBroker.calamari
+ *
+ * Keeps the completed dispatches of an account beyond the window the API
+ * returns, deduplicated and persisted as JSON file, and derives statistics
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeDispatches } = require("./dispatches");
+
+const ARCHIVE_RETENTION_DAYS = 400; // enough for monthly statistics over a full year
+
+/**
+ * Rolling archive of the completed dispatches of one account
+ */
+class DispatchArchive {
+	/**
+	 * @param {object} adapter - ioBroker adapter instance for logging
+	 * @param {string} file - Path of the archive file
+	 */
+	constructor(adapter, file) {
+		this._adapter = adapter;
+		this.file = file;
+		/** @type {Map<string, {start: string, end: string, kwh: number, minutes: number, source: string|null, location: string|null}>} */
+		this._entries = new Map();
+	}
+
+	/**
+	 * Read the archive file, a missing file starts an empty archive
+	 * @returns {Promise<void>}
+	 */
+	async load() {
+		try {
+			const entries = JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+			for (const entry of entries) {
+				this._entries.set(entry.start, entry);
+			}
+			this._adapter.log.debug(`Loaded ${this._entries.size} archived dispatches from ${this.file}`);
+		} catch (e) {
+			if (e.code !== "ENOENT") {
+				this._adapter.log.warn(`Failed to read dispatch archive ${this.file}: ${e}`);
+			}
+		}
+	}
+
+	/**
+	 * Add completed dispatches and drop entries older than the retention period. An archived
+	 * dispatch (same start) is replaced if the API corrected its end or energy.
+	 * @param {Array} dispatches - Completed dispatches from the API
+	 * @returns {number} Number of newly archived or corrected dispatches
+	 */
+	add(dispatches) {
+		let added = 0;
+		for (const dispatch of normalizeDispatches(dispatches)) {
+			const archived = this._entries.get(dispatch.start);
+			if (archived && archived.end === dispatch.end && archived.kwh === dispatch.kwh) {
+				continue;
+			}
+			this._entries.set(dispatch.start, {
+				...dispatch,
+				minutes: Math.round((Date.parse(dispatch.end) - Date.parse(dispatch.start)) / 60000),
+			});
+			added++;
+		}
+
+		const cutoff = Date.now() - ARCHIVE_RETENTION_DAYS * 86400000;
+		for (const [key, entry] of this._entries) {
+			if (Date.parse(entry.start) < cutoff) {
+				this._entries.delete(key);
+			}
+		}
+		return added;
+	}
+
+	/**
+	 * Write the archive file
+	 * @returns {Promise<void>}
+	 */
+	async save() {
+		const entries = [...this._entries.values()].sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+		try {
+			await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+			await fs.promises.writeFile(this.file, JSON.stringify(entries));
+		} catch (e) {
+			this._adapter.log.warn(`Failed to write dispatch archive ${this.file}: ${e}`);
+		}
+	}
+
+	/**
+	 * Sum the dispatches that started at or after a point in time
+	 * @param {Date} since - Start of the period
+	 * @returns {{count: number, kwh: number, minutes: number}} Number of dispatches, energy and duration
+	 */
+	stats(since) {
+		const result = { count: 0, kwh: 0, minutes: 0 };
+		for (const entry of this._entries.values()) {
+			if (Date.parse(entry.start) >= since.getTime()) {
+				result.count++;
+				result.kwh += entry.kwh;
+				result.minutes += entry.minutes;
+			}
+		}
+		result.kwh = Math.round(result.kwh * 1000) / 1000;
+		return result;
+	}
+
+	/**
+	 * List the dispatches that ended after a point in time
+	 * @param {Date} since - Start of the period
+	 * @returns {Array<{start: string, end: string, kwh: number, minutes: number, source: string|null, location: string|null}>} Dispatches sorted by start
+	 */
+	list(since) {
+		return [...this._entries.values()]
+			.filter((entry) => Date.parse(entry.end) > since.getTime())
+			.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+	}
+}
+
+module.exports = {
+	DispatchArchive,
+};
@@ -0,0 +1,98 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { DispatchArchive } = require("./dispatchArchive");
+
+const DAY_MS = 86400000;
+
+/**
+ * Completed dispatch as returned by the API
+ * @param {number} start - Start in ms since epoch
+ * @param {number} minutes - Duration
+ * @param {number} kwh - Energy (negative like the API reports it)
+ * @returns {object} Dispatch
+ */
+function dispatch(start, minutes, kwh) {
+	return {
+		startDt: new Date(start).toISOString(),
+		endDt: new Date(start + minutes * 60000).toISOString(),
+		deltaKwh: kwh,
+		meta: { source: "smart-charge", location: "AT_HOME" },
+	};
+}
+
+describe("DispatchArchive", () => {
+	const adapter = { log: { debug() {}, warn() {} } };
+	const start = Math.floor(Date.now() / DAY_MS) * DAY_MS - DAY_MS;
+	let file;
+
+	beforeEach(() => {
+		file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "calamari-")), "dispatches.json");
+	});
+
+	afterEach(() => {
+		fs.rmSync(path.dirname(file), { recursive: true, force: true });
+	});
+
+	it("should start empty without an archive file", async () => {
+		const archive = new DispatchArchive(adapter, file);
+		await archive.load();
+
+		expect(archive.stats(new Date(0))).to.deep.equal({ count: 0, kwh: 0, minutes: 0 });
+	});
+
+	it("should skip dispatches that are already archived", () => {
+		const archive = new DispatchArchive(adapter, file);
+
+		expect(archive.add([dispatch(start, 30, -5)])).to.equal(1);
+		expect(archive.add([dispatch(start, 30, -5), dispatch(start + 3600000, 60, -8)])).to.equal(1);
+		expect(archive.list(new Date(0))).to.have.length(2);
+	});
+
+	it("should replace a dispatch whose end or energy was corrected", () => {
+		const archive = new DispatchArchive(adapter, file);
+		archive.add([dispatch(start, 30, -5)]);
+
+		expect(archive.add([dispatch(start, 45, -7.5)])).to.equal(1);
+		expect(archive.list(new Date(0))).to.deep.equal([
+			{
+				start: new Date(start).toISOString(),
+				end: new Date(start + 45 * 60000).toISOString(),
+				kwh: 7.5,
+				minutes: 45,
+				source: "smart-charge",
+				location: "AT_HOME",
+			},
+		]);
+	});
+
+	it("should drop dispatches older than the retention period", () => {
+		const archive = new DispatchArchive(adapter, file);
+		const now = Date.now();
+		archive.add([dispatch(now - 401 * DAY_MS, 30, -5), dispatch(now - 399 * DAY_MS, 30, -5)]);
+
+		expect(archive.list(new Date(0)).map((entry) => entry.start)).to.deep.equal([
+			new Date(now - 399 * DAY_MS).toISOString(),
+		]);
+	});
+
+	it("should sum the dispatches that started since a point in time", () => {
+		const archive = new DispatchArchive(adapter, file);
+		archive.add([dispatch(start - 2 * DAY_MS, 60, -10), dispatch(start, 30, -5), dispatch(start + 3600000, 90, -2.25)]);
+
+		expect(archive.stats(new Date(start))).to.deep.equal({ count: 2, kwh: 7.25, minutes: 120 });
+	});
+
+	it("should persist the archive", async () => {
+		const archive = new DispatchArchive(adapter, file);
+		archive.add([dispatch(start, 30, -5)]);
+		await archive.save();
+
+		const loaded = new DispatchArchive(adapter, file);
+		await loaded.load();
+		expect(loaded.list(new Date(0))).to.deep.equal(archive.list(new Date(0)));
+	});
+});
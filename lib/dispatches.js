@@ -0,0 +1,60 @@
+/**
+ * Dispatch model for ioBroker.calamari
+ *
+ * Normalizes planned and completed dispatches of the Kraken API into one
+ * parsed model, shared by the dispatch states, the cheap phase checker,
+ * the dispatch archive and the AI engine
+ */
+
+"use strict";
+
+/**
+ * Normalized dispatch, also the schema of the `dispatches.planned.json` state (array, sorted by start)
+ * @typedef {Object} Dispatch
+ * @property {string} start - Start as ISO 8601 date-time (UTC)
+ * @property {string} end - End as ISO 8601 date-time (UTC)
+ * @property {number} kwh - Energy of the dispatch in kWh (always positive)
+ * @property {string|null} source - Origin of the dispatch (meta.source, e.g. "smart-charge")
+ * @property {string|null} location - Location of the dispatch (meta.location, e.g. "AT_HOME")
+ */
+
+/**
+ * Normalize a dispatch of the API (startDt/endDt, deltaKwh or delta, meta)
+ * @param {object} dispatch - Dispatch from the API
+ * @returns {Dispatch|null} Normalized dispatch, null without valid start and end
+ */
+function normalizeDispatch(dispatch) {
+	if (!dispatch) {
+		return null;
+	}
+	const start = Date.parse(dispatch.startDt || dispatch.start);
+	const end = Date.parse(dispatch.endDt || dispatch.end);
+	if (isNaN(start) || isNaN(end)) {
+		return null;
+	}
+
+	return {
+		start: new Date(start).toISOString(),
+		end: new Date(end).toISOString(),
+		kwh: Math.abs(parseFloat(dispatch.deltaKwh ?? dispatch.delta ?? 0)) || 0,
+		source: dispatch.meta?.source || null,
+		location: dispatch.meta?.location || null,
+	};
+}
+
+/**
+ * Normalize the dispatches of the API, invalid entries are dropped
+ * @param {Array|null} dispatches - Dispatches from the API
+ * @returns {Dispatch[]} Normalized dispatches sorted by start
+ */
+function normalizeDispatches(dispatches) {
+	return (Array.isArray(dispatches) ? dispatches : [])
+		.map(normalizeDispatch)
+		.filter((dispatch) => dispatch !== null)
+		.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+}
+
+module.exports = {
+	normalizeDispatch,
+	normalizeDispatches,
+};
@@ -0,0 +1,58 @@
+"use strict";
+
+const { expect } = require("chai");
+const { normalizeDispatch, normalizeDispatches } = require("./dispatches");
+
+describe("dispatches => normalizeDispatch", () => {
+	it("should normalize an API dispatch to UTC times and a positive energy", () => {
+		const dispatch = {
+			startDt: "2026-03-10T01:00:00+01:00",
+			endDt: "2026-03-10T02:30:00+01:00",
+			deltaKwh: "-7.5",
+			meta: { source: "smart-charge", location: "AT_HOME" },
+		};
+		expect(normalizeDispatch(dispatch)).to.deep.equal({
+			start: "2026-03-10T00:00:00.000Z",
+			end: "2026-03-10T01:30:00.000Z",
+			kwh: 7.5,
+			source: "smart-charge",
+			location: "AT_HOME",
+		});
+	});
+
+	it("should accept start/end and delta and default the optional fields", () => {
+		const dispatch = { start: "2026-03-10T00:00:00Z", end: "2026-03-10T01:00:00Z", delta: 3 };
+		expect(normalizeDispatch(dispatch)).to.deep.equal({
+			start: "2026-03-10T00:00:00.000Z",
+			end: "2026-03-10T01:00:00.000Z",
+			kwh: 3,
+			source: null,
+			location: null,
+		});
+		expect(normalizeDispatch({ ...dispatch, delta: undefined })).to.include({ kwh: 0 });
+	});
+
+	it("should return null without a valid start and end", () => {
+		expect(normalizeDispatch(null)).to.equal(null);
+		expect(normalizeDispatch({ startDt: "2026-03-10T00:00:00Z" })).to.equal(null);
+		expect(normalizeDispatch({ startDt: "invalid", endDt: "2026-03-10T01:00:00Z" })).to.equal(null);
+	});
+});
+
+describe("dispatches => normalizeDispatches", () => {
+	it("should drop invalid entries and sort by start", () => {
+		const dispatches = normalizeDispatches([
+			{ startDt: "2026-03-10T03:00:00Z", endDt: "2026-03-10T04:00:00Z" },
+			{ startDt: "invalid" },
+			{ startDt: "2026-03-10T01:00:00Z", endDt: "2026-03-10T02:00:00Z" },
+		]);
+		expect(dispatches.map((dispatch) => dispatch.start)).to.deep.equal([
+			"2026-03-10T01:00:00.000Z",
+			"2026-03-10T03:00:00.000Z",
+		]);
+	});
+
+	it("should return an empty list for missing dispatches", () => {
+		expect(normalizeDispatches(null)).to.deep.equal([]);
+	});
+});
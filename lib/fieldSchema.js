@@ -0,0 +1,130 @@
+/**
+ * Field schema for ioBroker.calamari
+ *
+ * Role, unit, type and conversion of the known Kraken fields that are mirrored
+ * by createDataPointsFromJson, so history, charting and type-detector adapters
+ * get proper states instead of generic values. Fields are looked up with their
+ * parent ("preferences.mode") first, so the writable preference fields do not
+ * make fields of the same name in other subtrees writable.
+ */
+
+"use strict";
+
+/**
+ * Amount in cents to EUR
+ * @param {any} value - Amount in cents, as number or decimal string
+ * @returns {number|null} Amount in EUR
+ */
+function centsToEuro(value) {
+	const cents = parseFloat(value);
+	return isNaN(cents) ? null : Math.round(cents) / 100;
+}
+
+/**
+ * Decimal (the API returns some decimals as strings) to number
+ * @param {any} value - Number or decimal string
+ * @returns {number|null} Number
+ */
+function toNumber(value) {
+	const number = parseFloat(value);
+	return isNaN(number) ? null : number;
+}
+
+/**
+ * ISO date-time to milliseconds since epoch
+ * @param {any} value - ISO date-time string
+ * @returns {number|null} Timestamp in ms
+ */
+function toTimestamp(value) {
+	const time = Date.parse(value);
+	return isNaN(time) ? null : time;
+}
+
+/**
+ * State definition of a mirrored field; convert turns the API value into the state value
+ * @typedef {{type: ioBroker.CommonType, role: string, unit?: string, write?: boolean, convert?: function(any): any}} FieldSchema
+ */
+
+/** @type {FieldSchema} */
+const TEXT = { type: "string", role: "text" };
+/** @type {FieldSchema} */
+const TIMESTAMP = { type: "number", role: "date", convert: toTimestamp };
+/** @type {FieldSchema} */
+const ENERGY = { type: "number", role: "value.energy", unit: "kWh", convert: toNumber };
+/** @type {FieldSchema} */
+const PRICE = { type: "number", role: "value.price", unit: "ct/kWh", convert: toNumber };
+
+/**
+ * Known fields by "parent.key" or, for fields with the same meaning in every subtree, by key.
+ * write: true only for the states the adapter sends back to the API.
+ * @type {Object<string, FieldSchema>}
+ */
+const FIELD_SCHEMA = {
+	// Dispatches
+	delta: ENERGY,
+	deltaKwh: ENERGY,
+	start: TIMESTAMP,
+	end: TIMESTAMP,
+	startDt: TIMESTAMP,
+	endDt: TIMESTAMP,
+	location: TEXT,
+	source: TEXT,
+
+	// Devices
+	id: TEXT,
+	name: TEXT,
+	deviceType: TEXT,
+	provider: TEXT,
+	integrationDeviceId: TEXT,
+	make: TEXT,
+	model: TEXT,
+	current: TEXT,
+	currentState: TEXT,
+	isSuspended: { type: "boolean", role: "indicator" },
+	"preferences.mode": { type: "string", role: "text", write: true },
+	"preferences.unit": { type: "string", role: "text", write: true },
+	"preferences.schedules": { type: "array", role: "json", write: true },
+	targetType: TEXT,
+	batterySize: { type: "number", role: "value", unit: "kWh", convert: toNumber },
+	powerInKw: { type: "number", role: "value.power", unit: "kW", convert: toNumber },
+	publishedAt: TIMESTAMP,
+
+	// Agreements, rates and meters
+	validFrom: TIMESTAMP,
+	validTo: TIMESTAMP,
+	code: TEXT,
+	description: TEXT,
+	fullName: TEXT,
+	timeslotName: TEXT,
+	latestGrossUnitRateCentsPerKwh: PRICE,
+	netUnitRateCentsPerKwh: PRICE,
+	maloNumber: TEXT,
+	meloNumber: TEXT,
+	meterType: TEXT,
+	number: TEXT,
+	submitMeterReadingUrl: { type: "string", role: "text.url" },
+	shouldReceiveSmartMeterData: { type: "boolean", role: "indicator" },
+	referenceConsumption: { type: "number", role: "value", unit: "kWh", convert: toNumber },
+};
+
+/**
+ * Look up the schema of a mirrored field, by parent and key first, then by key
+ * @param {string} key - Field name
+ * @param {string} [parent] - Name of the object containing the field
+ * @returns {FieldSchema|null} Schema entry
+ */
+function getFieldSchema(key, parent) {
+	for (const name of parent ? [`${parent}.${key}`, key] : [key]) {
+		if (Object.prototype.hasOwnProperty.call(FIELD_SCHEMA, name)) {
+			return FIELD_SCHEMA[name];
+		}
+	}
+	return null;
+}
+
+module.exports = {
+	FIELD_SCHEMA,
+	getFieldSchema,
+	centsToEuro,
+	toTimestamp,
+};
@@ -0,0 +1,42 @@
+"use strict";
+
+const { expect } = require("chai");
+const { FIELD_SCHEMA, getFieldSchema, centsToEuro, toTimestamp } = require("./fieldSchema");
+
+describe("fieldSchema => getFieldSchema", () => {
+	it("should prefer the parent.key entry", () => {
+		expect(getFieldSchema("mode", "preferences")).to.equal(FIELD_SCHEMA["preferences.mode"]);
+		expect(getFieldSchema("mode", "preferences")).to.include({ write: true });
+	});
+
+	it("should not make fields of the same name in other subtrees writable", () => {
+		expect(getFieldSchema("mode", "status")).to.equal(null);
+		expect(getFieldSchema("unit", "meter")).to.equal(null);
+	});
+
+	it("should fall back to the key for fields with the same meaning everywhere", () => {
+		expect(getFieldSchema("currentState", "status")).to.equal(FIELD_SCHEMA.currentState);
+		expect(getFieldSchema("deltaKwh")).to.equal(FIELD_SCHEMA.deltaKwh);
+	});
+
+	it("should keep isSuspended read-only", () => {
+		expect(getFieldSchema("isSuspended", "status")).to.deep.equal({ type: "boolean", role: "indicator" });
+	});
+
+	it("should return null for unknown fields", () => {
+		expect(getFieldSchema("unknownField", "devices")).to.equal(null);
+	});
+});
+
+describe("fieldSchema => conversions", () => {
+	it("should convert cents to EUR", () => {
+		expect(centsToEuro("-1234.6")).to.equal(-12.35);
+		expect(centsToEuro(500)).to.equal(5);
+		expect(centsToEuro("n/a")).to.equal(null);
+	});
+
+	it("should convert ISO date-times to timestamps", () => {
+		expect(toTimestamp("2026-03-10T00:00:00Z")).to.equal(Date.UTC(2026, 2, 10));
+		expect(toTimestamp("")).to.equal(null);
+	});
+});
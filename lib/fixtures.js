@@ -0,0 +1,228 @@
+/**
+ * API fixtures for ioBroker.calamari
+ *
+ * Records Kraken GraphQL responses as JSON files and replays them instead of
+ * the network, so the adapter can run against a fixed scenario without an
+ * Octopus account (development and CI)
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { KrakenError } = require("./krakenErrors");
+
+const FIXTURE_MODES = ["replay", "record"];
+
+// Identifiers and personal data, replaced by a stable pseudonym so references between fixtures still match
+const PSEUDONYM_KEYS = [
+	"id",
+	"number",
+	"accountNumber",
+	"maloNumber",
+	"meloNumber",
+	"meterId",
+	"integrationDeviceId",
+	"name",
+	"submitMeterReadingUrl",
+];
+
+// Secrets, replaced completely
+const SECRET_KEYS = ["token", "refreshToken", "payload", "refreshExpiresIn"];
+
+// Date-time strings (not plain dates) are moved forward on replay
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+// Query variables that select the data (account, property, MaLo, page cursor) and are part of the fixture name;
+// true: the value is pseudonymized like in the responses, so replayed IDs select the same fixture
+const FIXTURE_KEY_VARIABLES = { accountNumber: true, propertyId: true, marketSupplyPointId: true, after: false };
+
+/**
+ * No fixture was recorded for a request in replay mode - retrying cannot help
+ */
+class FixtureNotFoundError extends KrakenError {
+	/**
+	 * @param {string} message - Error message
+	 * @param {string} operation - GraphQL operation name
+	 */
+	constructor(message, operation) {
+		super(message, null, { operation });
+		this.name = "FixtureNotFoundError";
+	}
+}
+
+/**
+ * Stable pseudonym of an identifier; pseudonyms are kept
+ * @param {string|number} value - Identifier
+ * @returns {string} "masked-" and the first 8 hex digits of its SHA-256
+ */
+function pseudonym(value) {
+	const text = String(value);
+	if (text.startsWith("masked-")) {
+		return text;
+	}
+	return `masked-${crypto.createHash("sha256").update(text).digest("hex").substring(0, 8)}`;
+}
+
+/**
+ * Stores one fixture per GraphQL operation and selecting variables in a directory
+ */
+class FixtureStore {
+	/**
+	 * @param {object} adapter - ioBroker adapter instance for logging
+	 * @param {string} mode - "replay" serves fixtures, "record" writes real responses
+	 * @param {string} directory - Directory of the fixture files
+	 */
+	constructor(adapter, mode, directory) {
+		if (!FIXTURE_MODES.includes(mode)) {
+			throw new Error(`Unknown fixture mode '${mode}'`);
+		}
+		this._adapter = adapter;
+		this.mode = mode;
+		this.directory = directory;
+
+		if (mode === "record") {
+			fs.mkdirSync(directory, { recursive: true });
+		}
+	}
+
+	/**
+	 * Name of the GraphQL operation, used as fixture file name
+	 * @param {string} query - GraphQL query string
+	 * @returns {string} Operation name, or the first field of an anonymous query
+	 */
+	static operationName(query) {
+		const named = /\b(?:query|mutation)\s+(\w+)/.exec(query);
+		if (named) {
+			return named[1];
+		}
+		const field = /{\s*(\w+)/.exec(query);
+		return field ? field[1] : "anonymous";
+	}
+
+	/**
+	 * Fixture name of a request: the operation name, followed by a hash of the selecting variables
+	 * (FIXTURE_KEY_VARIABLES) if it has any, so accounts and pages get their own fixture
+	 * @param {string} query - GraphQL query string
+	 * @param {object} [variables] - Query variables
+	 * @returns {string} Fixture name
+	 */
+	static fixtureName(query, variables = {}) {
+		const name = FixtureStore.operationName(query);
+		const selectors = [];
+		const collect = (value) => {
+			if (Array.isArray(value)) {
+				value.forEach(collect);
+			} else if (value && typeof value === "object") {
+				for (const [key, item] of Object.entries(value)) {
+					if (Object.prototype.hasOwnProperty.call(FIXTURE_KEY_VARIABLES, key)) {
+						if (item !== null && item !== undefined) {
+							selectors.push(`${key}=${FIXTURE_KEY_VARIABLES[key] ? pseudonym(item) : item}`);
+						}
+					} else {
+						collect(item);
+					}
+				}
+			}
+		};
+		collect(variables);
+
+		if (selectors.length === 0) {
+			return name;
+		}
+		return `${name}-${crypto.createHash("sha256").update(selectors.join("&")).digest("hex").substring(0, 8)}`;
+	}
+
+	/**
+	 * Read the recorded response of a request; date-times are moved by the time passed since recording,
+	 * so planned dispatches stay in the future
+	 * @param {string} query - GraphQL query string
+	 * @param {object} [variables] - Query variables
+	 * @returns {object} Recorded response body
+	 * @throws {FixtureNotFoundError} If no fixture was recorded for the request
+	 */
+	load(query, variables = {}) {
+		const name = FixtureStore.fixtureName(query, variables);
+		const file = path.join(this.directory, `${name}.json`);
+		if (!fs.existsSync(file)) {
+			throw new FixtureNotFoundError(`No fixture recorded for ${name} (${file})`, FixtureStore.operationName(query));
+		}
+
+		const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+		const offset = fixture.recordedAt ? Date.now() - Date.parse(fixture.recordedAt) : 0;
+		this._adapter.log.debug(`Replaying fixture ${name}`);
+		return this._shiftDateTimes(fixture.response, offset);
+	}
+
+	/**
+	 * Write a real response as fixture with secrets and personal data masked
+	 * @param {string} query - GraphQL query string
+	 * @param {object} variables - Query variables
+	 * @param {object} response - Response body
+	 */
+	save(query, variables, response) {
+		const name = FixtureStore.fixtureName(query, variables);
+		const file = path.join(this.directory, `${name}.json`);
+		const fixture = {
+			operation: FixtureStore.operationName(query),
+			recordedAt: new Date().toISOString(),
+			response: this._mask(response, null),
+		};
+
+		try {
+			fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+			this._adapter.log.debug(`Recorded fixture ${name}`);
+		} catch (e) {
+			this._adapter.log.warn(`Failed to record fixture ${name}: ${e}`);
+		}
+	}
+
+	/**
+	 * @param {any} value - Value to mask
+	 * @param {string|null} key - Key the value is stored under
+	 * @returns {any} Masked copy
+	 * @private
+	 */
+	_mask(value, key) {
+		if (key && SECRET_KEYS.includes(key)) {
+			return typeof value === "string" ? "masked" : null;
+		}
+		if (Array.isArray(value)) {
+			return value.map((item) => this._mask(item, key));
+		}
+		if (value && typeof value === "object") {
+			return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this._mask(v, k)]));
+		}
+		if (key && PSEUDONYM_KEYS.includes(key) && (typeof value === "string" || typeof value === "number")) {
+			return pseudonym(value);
+		}
+		return value;
+	}
+
+	/**
+	 * @param {any} value - Value to shift
+	 * @param {number} offset - Milliseconds to add
+	 * @returns {any} Shifted copy
+	 * @private
+	 */
+	_shiftDateTimes(value, offset) {
+		if (Array.isArray(value)) {
+			return value.map((item) => this._shiftDateTimes(item, offset));
+		}
+		if (value && typeof value === "object") {
+			return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this._shiftDateTimes(v, offset)]));
+		}
+		if (offset && typeof value === "string" && DATE_TIME_PATTERN.test(value)) {
+			const time = Date.parse(value);
+			return isNaN(time) ? value : new Date(time + offset).toISOString();
+		}
+		return value;
+	}
+}
+
+module.exports = {
+	FIXTURE_MODES,
+	FixtureStore,
+	FixtureNotFoundError,
+};
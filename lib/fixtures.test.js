@@ -0,0 +1,77 @@
+"use strict";
+
+const path = require("path");
+const { expect } = require("chai");
+const OctopusGermany = require("./octopusGermany");
+const { FixtureStore, FixtureNotFoundError } = require("./fixtures");
+
+const SCENARIO = path.join(__dirname, "..", "test", "fixtures", "twoAccounts");
+
+describe("FixtureStore => fixtureName", () => {
+	const query = "query DevicesOnlyQuery($accountNumber: String!) { devices }";
+
+	it("should use the operation name without selecting variables", () => {
+		expect(FixtureStore.fixtureName("query { viewer { accounts { number } } }", {})).to.equal("viewer");
+	});
+
+	it("should give each account its own fixture", () => {
+		const first = FixtureStore.fixtureName(query, { accountNumber: "A-1111AAAA" });
+		const second = FixtureStore.fixtureName(query, { accountNumber: "A-2222BBBB" });
+		expect(first).to.match(/^DevicesOnlyQuery-[0-9a-f]{8}$/);
+		expect(first).to.not.equal(second);
+	});
+
+	it("should resolve real and pseudonymized account numbers to the same fixture", () => {
+		// Pseudonym of A-1111AAAA in the recorded responses
+		expect(FixtureStore.fixtureName(query, { accountNumber: "masked-fdd64a51" })).to.equal(
+			FixtureStore.fixtureName(query, { accountNumber: "A-1111AAAA" }),
+		);
+	});
+
+	it("should include nested MaLo filters and page cursors", () => {
+		const variables = (malo, after) => ({
+			propertyId: "1",
+			utilityFilters: [{ electricityFilters: { marketSupplyPointId: malo } }],
+			after,
+		});
+		const names = new Set([
+			FixtureStore.fixtureName(query, variables("DE001", null)),
+			FixtureStore.fixtureName(query, variables("DE002", null)),
+			FixtureStore.fixtureName(query, variables("DE001", "cursor-2")),
+		]);
+		expect(names.size).to.equal(3);
+	});
+});
+
+describe("OctopusGermany => replay of a recorded scenario", () => {
+	const log = { silly() {}, debug() {}, info() {}, warn() {}, error() {} };
+	let client;
+
+	beforeEach(() => {
+		client = new OctopusGermany({ log }, "user@example.com", "password");
+		client.initialize("user@example.com", "password", "", { fixtures: { mode: "replay", path: SCENARIO } });
+	});
+
+	afterEach(() => {
+		client.stopTokenRefresh();
+	});
+
+	it("should log in and serve the devices of each account", async () => {
+		const accounts = await client.fetchAccountsWithInitialData();
+		expect(accounts).to.have.length(2);
+
+		const first = await client.fetchDevices(accounts[0].number);
+		const second = await client.fetchDevices(accounts[1].number);
+		expect(first.map((device) => device.deviceType)).to.deep.equal(["ELECTRIC_VEHICLES"]);
+		expect(second.map((device) => device.deviceType)).to.deep.equal(["CHARGE_POINTS"]);
+	});
+
+	it("should fail fast without retries on a missing fixture", async () => {
+		const started = Date.now();
+		const account = await client.fetchAccount("A-3333CCCC");
+
+		expect(account).to.equal(null);
+		expect(client.lastError).to.be.an.instanceOf(FixtureNotFoundError);
+		expect(Date.now() - started).to.be.below(1000);
+	});
+});
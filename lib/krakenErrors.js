@@ -0,0 +1,111 @@
+/**
+ * Kraken API errors for ioBroker.calamari
+ *
+ * Typed errors for the responses of the Kraken GraphQL API, so the
+ * OctopusGermany client can apply one retry and re-authentication policy
+ */
+
+"use strict";
+
+// Kraken error codes the client reacts to
+const KRAKEN_ERROR_CODES = {
+	TOKEN_EXPIRED: "KT-CT-1124",
+	RATE_LIMITED: "KT-CT-1199",
+	NO_DATA: "KT-CT-4301",
+};
+
+/**
+ * Error returned by the Kraken API or raised while talking to it
+ */
+class KrakenError extends Error {
+	/**
+	 * @param {string} message - Error message
+	 * @param {string|null} [code] - Kraken error code (KT-CT-xxxx), HTTP status or null
+	 * @param {{operation?: string, path?: Array<string|number>}} [details] - Failed operation and GraphQL path
+	 */
+	constructor(message, code = null, details = {}) {
+		super(message);
+		this.name = "KrakenError";
+		this.code = code;
+		this.operation = details.operation || null;
+		this.path = details.path || null;
+	}
+}
+
+/**
+ * The token was rejected or has expired (KT-CT-1124) - a new login may fix it
+ */
+class KrakenAuthError extends KrakenError {
+	/**
+	 * @param {string} message - Error message
+	 * @param {string|null} [code] - Kraken error code, null if the login itself failed
+	 * @param {{operation?: string, path?: Array<string|number>}} [details] - Failed operation and GraphQL path
+	 */
+	constructor(message, code = KRAKEN_ERROR_CODES.TOKEN_EXPIRED, details = {}) {
+		super(message, code, details);
+		this.name = "KrakenAuthError";
+	}
+}
+
+/**
+ * Too many requests (KT-CT-1199) - retry after a backoff
+ */
+class KrakenRateLimitError extends KrakenError {
+	constructor(message, code = KRAKEN_ERROR_CODES.RATE_LIMITED, details = {}) {
+		super(message, code, details);
+		this.name = "KrakenRateLimitError";
+	}
+}
+
+/**
+ * No data for the requested field (KT-CT-4301), e.g. an account without devices - not critical
+ */
+class KrakenNoDataError extends KrakenError {
+	constructor(message, code = KRAKEN_ERROR_CODES.NO_DATA, details = {}) {
+		super(message, code, details);
+		this.name = "KrakenNoDataError";
+	}
+}
+
+/**
+ * The API could not be reached or answered without a GraphQL body
+ */
+class KrakenNetworkError extends KrakenError {
+	constructor(message, code = null, details = {}) {
+		super(message, code, details);
+		this.name = "KrakenNetworkError";
+	}
+}
+
+/**
+ * Map a GraphQL error entry of a Kraken response to a typed error
+ * @param {object} error - Entry of the response `errors` array
+ * @param {string} [operation] - Name of the failed query or mutation
+ * @returns {KrakenError} Typed error
+ */
+function classifyKrakenError(error, operation) {
+	const code = error?.extensions?.errorCode || null;
+	const message = error?.message || "Unknown error";
+	const details = { operation, path: error?.path };
+
+	switch (code) {
+		case KRAKEN_ERROR_CODES.TOKEN_EXPIRED:
+			return new KrakenAuthError(message, code, details);
+		case KRAKEN_ERROR_CODES.RATE_LIMITED:
+			return new KrakenRateLimitError(message, code, details);
+		case KRAKEN_ERROR_CODES.NO_DATA:
+			return new KrakenNoDataError(message, code, details);
+		default:
+			return new KrakenError(message, code, details);
+	}
+}
+
+module.exports = {
+	KRAKEN_ERROR_CODES,
+	KrakenError,
+	KrakenAuthError,
+	KrakenRateLimitError,
+	KrakenNoDataError,
+	KrakenNetworkError,
+	classifyKrakenError,
+};
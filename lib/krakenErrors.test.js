@@ -0,0 +1,41 @@
+"use strict";
+
+const { expect } = require("chai");
+const {
+	KRAKEN_ERROR_CODES,
+	KrakenError,
+	KrakenAuthError,
+	KrakenRateLimitError,
+	KrakenNoDataError,
+	classifyKrakenError,
+} = require("./krakenErrors");
+
+describe("krakenErrors => classifyKrakenError", () => {
+	const entry = (errorCode) => ({
+		message: "Failed",
+		path: ["devices", 0],
+		extensions: errorCode ? { errorCode } : {},
+	});
+
+	it("should map the known error codes to typed errors", () => {
+		expect(classifyKrakenError(entry(KRAKEN_ERROR_CODES.TOKEN_EXPIRED))).to.be.an.instanceOf(KrakenAuthError);
+		expect(classifyKrakenError(entry(KRAKEN_ERROR_CODES.RATE_LIMITED))).to.be.an.instanceOf(KrakenRateLimitError);
+		expect(classifyKrakenError(entry(KRAKEN_ERROR_CODES.NO_DATA))).to.be.an.instanceOf(KrakenNoDataError);
+	});
+
+	it("should keep code, message, operation and path", () => {
+		const error = classifyKrakenError(entry(KRAKEN_ERROR_CODES.NO_DATA), "fetchDevices");
+		expect(error).to.include({ code: "KT-CT-4301", message: "Failed", operation: "fetchDevices" });
+		expect(error.path).to.deep.equal(["devices", 0]);
+	});
+
+	it("should return a plain KrakenError for other and missing codes", () => {
+		const other = classifyKrakenError(entry("KT-CT-9999"));
+		expect(other.constructor).to.equal(KrakenError);
+		expect(other.code).to.equal("KT-CT-9999");
+
+		const empty = classifyKrakenError(undefined);
+		expect(empty.constructor).to.equal(KrakenError);
+		expect(empty).to.include({ code: null, message: "Unknown error", operation: null });
+	});
+});
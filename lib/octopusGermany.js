@@ -10,16 +10,27 @@
 // Required modules
 const axios = require("axios");
 const jwt = require("jsonwebtoken");
+const {
+	KrakenAuthError,
+	KrakenRateLimitError,
+	KrakenNoDataError,
+	KrakenNetworkError,
+	classifyKrakenError,
+} = require("./krakenErrors");
+const { FixtureStore, FixtureNotFoundError } = require("./fixtures");
 
 // Constants
 const GRAPH_QL_ENDPOINT = "https://api.oeg-kraken.energy/v1/graphql/";
 const TOKEN_AUTO_REFRESH_INTERVAL = 3600 * 1000; // 1 hour in milliseconds
 const TOKEN_REFRESH_MARGIN = 300; // 5 minutes before expiry
+const CACHE_EXPIRY_TOLERANCE = 5000; // poll ticks landing just before a TTL ends refresh anyway
+const RETRY_BASE_DELAY = 1000; // first backoff delay for rate limits and network errors
+const RETRY_MAX_DELAY = 30000; // cap of the exponential backoff
+const MAX_RETRIES = 3; // retries per request on rate limits and network errors
 
 // Queries
-const COMPREHENSIVE_QUERY = `
-query ComprehensiveDataQuery($accountNumber: String!) {
-  account(accountNumber: $accountNumber) {
+// Account selection shared by the comprehensive and the account-only query
+const ACCOUNT_SELECTION = `account(accountNumber: $accountNumber) {
     id
     ledgers {
       balance
@@ -83,20 +94,12 @@ query ComprehensiveDataQuery($accountNumber: String!) {
         referenceConsumption
       }
     }
-  }
-  completedDispatches(accountNumber: $accountNumber) {
-    delta
-    deltaKwh
-    end
-    endDt
-    meta {
-      location
-      source
-    }
-    start
-    startDt
-  }
-  devices(accountNumber: $accountNumber) {
+  }`;
+
+// Device selection shared by the comprehensive and the devices-only query.
+// The type fragments add the type-specific fields of vehicles, charge points, heat pumps, batteries and inverters.
+const DEVICE_SELECTION = `devices(accountNumber: $accountNumber) {
+    __typename
     status {
       current
       currentState
@@ -123,19 +126,48 @@ query ComprehensiveDataQuery($accountNumber: String!) {
       publishedAt
     }
     ... on SmartFlexVehicle {
-      id
-      name
-      status {
-        current
-        currentState
-        isSuspended
-      }
       vehicleVariant {
         model
         batterySize
       }
     }
+    ... on SmartFlexChargePoint {
+      make
+      chargePointVariant {
+        model
+        powerInKw
+      }
+    }
+    ... on SmartFlexHeatPump {
+      make
+      model
+    }
+    ... on SmartFlexBattery {
+      make
+      model
+    }
+    ... on SmartFlexInverter {
+      make
+      model
+    }
+  }`;
+
+const COMPREHENSIVE_QUERY = `
+query ComprehensiveDataQuery($accountNumber: String!) {
+  ${ACCOUNT_SELECTION}
+  completedDispatches(accountNumber: $accountNumber) {
+    delta
+    deltaKwh
+    end
+    endDt
+    meta {
+      location
+      source
+    }
+    start
+    startDt
   }
+  ${DEVICE_SELECTION}
   plannedDispatches(accountNumber: $accountNumber) {
     delta
     deltaKwh
@@ -166,48 +198,15 @@ query {
 `;
 
 // Separate queries for optimized data fetching
+const ACCOUNT_ONLY_QUERY = `
+query AccountOnlyQuery($accountNumber: String!) {
+  ${ACCOUNT_SELECTION}
+}
+`;
+
 const DEVICES_ONLY_QUERY = `
 query DevicesOnlyQuery($accountNumber: String!) {
-  devices(accountNumber: $accountNumber) {
-    status {
-      current
-      currentState
-      isSuspended
-    }
-    provider
-    preferences {
-      mode
-      schedules {
-        dayOfWeek
-        max
-        min
-        time
-      }
-      targetType
-      unit
-    }
-    name
-    integrationDeviceId
-    id
-    deviceType
-    alerts {
-      message
-      publishedAt
-    }
-    ... on SmartFlexVehicle {
-      id
-      name
-      status {
-        current
-        currentState
-        isSuspended
-      }
-      vehicleVariant {
-        model
-        batterySize
-      }
-    }
-  }
+  ${DEVICE_SELECTION}
 }
 `;
 
@@ -240,6 +239,48 @@ query DispatchesOnlyQuery($accountNumber: String!) {
 }
 `;
 
+const MEASUREMENTS_QUERY = `
+query MeasurementsQuery(
+  $propertyId: ID!
+  $first: Int!
+  $utilityFilters: [UtilityFiltersInput!]
+  $startAt: DateTime
+  $endAt: DateTime
+  $timezone: String
+  $after: String
+) {
+  property(id: $propertyId) {
+    measurements(
+      first: $first
+      utilityFilters: $utilityFilters
+      startAt: $startAt
+      endAt: $endAt
+      timezone: $timezone
+      after: $after
+    ) {
+      edges {
+        node {
+          value
+          unit
+          ... on IntervalMeasurementType {
+            startAt
+            endAt
+            durationInSeconds
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+}
+`;
+
+const MEASUREMENTS_PAGE_SIZE = 100;
+const MEASUREMENTS_MAX_PAGES = 10;
+
 /**
  * Manages authentication tokens for the Octopus Germany API
  */
@@ -247,6 +288,8 @@ class TokenManager {
 	constructor(adapter) {
 		this._token = null;
 		this._expiry = null;
+		this._refreshToken = null;
+		this._refreshExpiry = null;
 		this._refreshCallback = null;
 		this._refreshTimerId = null;
 		this._adapter = adapter;
@@ -273,6 +316,47 @@ class TokenManager {
 		return this._token;
 	}
 
+	/**
+	 * Get the expiry timestamp of the current token (seconds), null without token
+	 */
+	get expiry() {
+		return this._expiry;
+	}
+
+	/**
+	 * Get the current refresh token if it has not expired yet
+	 */
+	get refreshToken() {
+		const now = Math.floor(Date.now() / 1000);
+		if (!this._refreshToken || (this._refreshExpiry && now >= this._refreshExpiry - TOKEN_REFRESH_MARGIN)) {
+			return null;
+		}
+		return this._refreshToken;
+	}
+
+	/**
+	 * Set the refresh token used to renew the token without the password
+	 * @param {string|null} refreshToken - Refresh token
+	 * @param {number|null} [refreshExpiry] - Expiry timestamp of the refresh token (seconds)
+	 */
+	setRefreshToken(refreshToken, refreshExpiry = null) {
+		this._refreshToken = refreshToken;
+		this._refreshExpiry = refreshExpiry;
+	}
+
+	/**
+	 * Export token, refresh token and their expiry for persistence
+	 * @returns {{token: string|null, expiry: number|null, refreshToken: string|null, refreshExpiry: number|null}} Token data
+	 */
+	export() {
+		return {
+			token: this._token,
+			expiry: this._expiry,
+			refreshToken: this._refreshToken,
+			refreshExpiry: this._refreshExpiry,
+		};
+	}
+
 	/**
 	 * Set a callback function for token refresh
 	 * @param {Function} callback - Function to call when token needs to be refreshed
@@ -378,12 +462,20 @@ class TokenManager {
 	}
 
 	/**
-	 * Clear token and expiry
+	 * Clear token and expiry (the refresh token is kept to renew the token)
 	 */
 	clear() {
 		this._token = null;
 		this._expiry = null;
 	}
+
+	/**
+	 * Clear the refresh token, e.g. after it was rejected
+	 */
+	clearRefreshToken() {
+		this._refreshToken = null;
+		this._refreshExpiry = null;
+	}
 }
 
 /**
@@ -401,12 +493,23 @@ class OctopusGermany {
 		this._adapter = adapter;
 		this._email = email;
 		this._password = password;
+		this._endpoint = GRAPH_QL_ENDPOINT;
 		this._options = {
 			logApiResponses: true,
 			logTokenResponses: false,
 			...options,
 		};
 
+		// Health figures of the API connection, see getHealth()
+		/** @type {{requests: number, failures: number, rateLimitHits: number, totalLatency: number, lastLatency: number|null}} */
+		this._stats = {
+			requests: 0,
+			failures: 0,
+			rateLimitHits: 0,
+			totalLatency: 0,
+			lastLatency: null,
+		};
+
 		// Sicherstellung, dass log existiert
 		if (!adapter.log) {
 			// Alternative Logging-Methode (fallback to console)
@@ -423,9 +526,29 @@ class OctopusGermany {
 		}
 	}
 
-	initialize(email, password) {
+	/**
+	 * Set credentials and API endpoint and start the token manager
+	 * @param {string} email - Email address for the Octopus Germany account
+	 * @param {string} password - Password for the Octopus Germany account
+	 * @param {string} [server] - GraphQL endpoint URL, falls back to the Kraken default if empty or invalid
+	 * @param {object} [options] - Runtime hooks of the adapter
+	 * @param {{load: () => Promise<object|null>, save: (data: object) => Promise<void>}} [options.tokenStore] - Persists the token across restarts
+	 * @param {(error: import("./krakenErrors").KrakenError) => void} [options.onApiError] - Called with every finally failed API request
+	 * @param {{mode: string, path: string}} [options.fixtures] - Replay responses from fixture files instead of the network, or record them
+	 */
+	initialize(email, password, server, options = {}) {
 		this._email = email;
 		this._password = password;
+		this._endpoint = this._resolveEndpoint(server);
+		this._options = { ...this._options, ...options };
+		this._tokenStore = this._options.tokenStore || null;
+		this.lastError = null;
+		this._fixtures = null;
+		if (this._options.fixtures) {
+			this._fixtures = new FixtureStore(this._adapter, this._options.fixtures.mode, this._options.fixtures.path);
+			this._adapter.log.warn(`Fixture ${this._fixtures.mode} mode active, fixture directory ${this._fixtures.directory}`);
+		}
+		this._adapter.log.info(`Using GraphQL endpoint ${this._endpoint}`);
 
 		// Create instance-specific token manager
 		// This allows multiple adapter instances with different accounts
@@ -434,11 +557,11 @@ class OctopusGermany {
 		// Set up the token manager refresh callback
 		this._tokenManager.setRefreshCallback(() => this.login());
 
-		// Initialize cache for static data
+		// Initialize cache per data section, entries keyed by account number
 		this._cache = {
-			account: { data: null, timestamp: 0, ttl: 3600000 }, // 1 hour TTL for account data
-			devices: { data: null, timestamp: 0, ttl: 300000 }, // 5 minutes TTL for devices
-			dispatches: { data: null, timestamp: 0, ttl: 60000 }, // 1 minute TTL for dispatches
+			account: { entries: {}, ttl: 3600000 }, // 1 hour TTL for account data
+			devices: { entries: {}, ttl: 300000 }, // 5 minutes TTL for devices
+			dispatches: { entries: {}, ttl: 60000 }, // 1 minute TTL for dispatches
 		};
 
 		this._adapter.log.info("starte TokenManager");
@@ -448,6 +571,30 @@ class OctopusGermany {
 		this._adapter.log.info("OctopusGermany wurde initialisiert");
 	}
 
+	/**
+	 * Validate a configured endpoint URL
+	 * @param {string} [server] - Configured endpoint URL
+	 * @returns {string} The endpoint to use
+	 * @private
+	 */
+	_resolveEndpoint(server) {
+		const url = (server || "").trim();
+		if (!url) {
+			return GRAPH_QL_ENDPOINT;
+		}
+
+		try {
+			const parsed = new URL(url);
+			if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+				throw new Error(`unsupported protocol ${parsed.protocol}`);
+			}
+			return parsed.href;
+		} catch (e) {
+			this._adapter.log.warn(`Invalid API server URL '${url}' (${e.message}), using default ${GRAPH_QL_ENDPOINT}`);
+			return GRAPH_QL_ENDPOINT;
+		}
+	}
+
 	/**
 	 * Stop the token refresh process
 	 */
@@ -473,89 +620,186 @@ class OctopusGermany {
 	}
 
 	/**
-	 * Execute a GraphQL query with automatic rate limiting retry
+	 * Send a GraphQL request to the API or the fixture store (transport only, retries are handled by _request)
 	 * @param {string} query - GraphQL query string
 	 * @param {object} variables - Query variables
 	 * @param {object} additionalHeaders - Additional headers
-	 * @param {number} maxRetries - Maximum number of retries for rate limiting
-	 * @returns {Promise<object>} Query response
+	 * @returns {Promise<object>} Response body, also for HTTP error responses carrying GraphQL errors
+	 * @throws {Error} On network errors or HTTP errors without response body
 	 */
-	async _executeGraphQLQuery(query, variables = {}, additionalHeaders = {}, maxRetries = 3) {
+	async _executeGraphQLQuery(query, variables = {}, additionalHeaders = {}) {
 		const headers = {
 			...this._getAuthHeaders(),
 			"Content-Type": "application/json",
 			...additionalHeaders,
 		};
 
-		let attempt = 0;
-		let delay = 1000; // Start with 1 second delay
-		const maxDelay = 30000; // Cap at 30 seconds
+		const startedAt = Date.now();
+		this._stats.requests++;
+
+		try {
+			if (this._fixtures && this._fixtures.mode === "replay") {
+				return this._fixtures.load(query, variables);
+			}
+
+			const response = await axios({
+				url: this._endpoint,
+				method: "POST",
+				headers,
+				data: {
+					query,
+					variables,
+				},
+			});
+			if (this._fixtures && this._fixtures.mode === "record") {
+				this._fixtures.save(query, variables, response.data);
+			}
+			return response.data;
+		} catch (error) {
+			// Kraken reports GraphQL errors (e.g. rate limits) with HTTP error status codes too
+			if (error.response && error.response.data && error.response.data.errors) {
+				if (this._fixtures && this._fixtures.mode === "record") {
+					this._fixtures.save(query, variables, error.response.data);
+				}
+				return error.response.data;
+			}
+			throw error;
+		} finally {
+			const latency = Date.now() - startedAt;
+			this._stats.lastLatency = latency;
+			this._stats.totalLatency += latency;
+		}
+	}
+
+	/**
+	 * Health figures of the API connection since initialize()
+	 * @returns {{requestCount: number, failureCount: number, rateLimitHits: number, averageLatency: number|null, lastLatency: number|null, tokenExpiry: number|null}} Counters, latencies in ms and token expiry in ms since epoch
+	 */
+	getHealth() {
+		const stats = this._stats;
+		const expiry = this._tokenManager ? this._tokenManager.expiry : null;
+		return {
+			requestCount: stats.requests,
+			failureCount: stats.failures,
+			rateLimitHits: stats.rateLimitHits,
+			averageLatency: stats.requests > 0 ? Math.round(stats.totalLatency / stats.requests) : null,
+			lastLatency: stats.lastLatency,
+			tokenExpiry: expiry ? expiry * 1000 : null,
+		};
+	}
+
+	/**
+	 * Run a query or mutation under the retry policy of the client: ensure a token, log in again
+	 * once on an expired token, back off on rate limits and network errors, and classify all
+	 * other errors. KT-CT-4301 errors (no data for a field) are not critical and are returned.
+	 * @param {string} query - GraphQL query string
+	 * @param {object} [variables] - Query variables
+	 * @param {string} [operation] - Operation name for logs and the last error states
+	 * @param {{allowPartial?: boolean}} [options] - allowPartial: return data despite critical errors (they are reported)
+	 * @returns {Promise<{data: any, errors: Array<import("./krakenErrors").KrakenError>}>} Response data and non-critical errors
+	 * @throws {import("./krakenErrors").KrakenError} If the request finally failed
+	 */
+	async _request(query, variables = {}, operation = "query", options = {}) {
+		let reauthenticated = false;
+		let retries = 0;
+		let delay = RETRY_BASE_DELAY;
+
+		const backoff = async (reason) => {
+			retries++;
+			this._adapter.log.warn(
+				`${reason} during ${operation}. Retrying in ${delay / 1000}s (attempt ${retries}/${MAX_RETRIES})`,
+			);
+			await new Promise((resolve) => setTimeout(resolve, delay));
+			delay = Math.min(delay * 2, RETRY_MAX_DELAY); // Exponential backoff
+		};
 
-		while (attempt <= maxRetries) {
-			attempt++;
+		for (;;) {
+			if (!(await this.ensureToken())) {
+				throw this._reportError(new KrakenAuthError("No valid token, login failed", null, { operation }));
+			}
 
+			let response;
 			try {
-				const response = await axios({
-					url: GRAPH_QL_ENDPOINT,
-					method: "POST",
-					headers,
-					data: {
-						query,
-						variables,
-					},
-				});
+				response = await this._executeGraphQLQuery(query, variables);
+			} catch (e) {
+				if (e instanceof FixtureNotFoundError) {
+					throw this._reportError(e);
+				}
+				if (retries < MAX_RETRIES) {
+					await backoff(`Network error (${e.message})`);
+					continue;
+				}
+				throw this._reportError(new KrakenNetworkError(e.message, e.response?.status ?? null, { operation }));
+			}
 
-				// Check for rate limiting in the response
-				if (response.data && response.data.errors) {
-					const rateLimitError = response.data.errors.find(
-						(err) => err.extensions?.errorCode === "KT-CT-1199",
-					);
+			if (!response || typeof response !== "object") {
+				throw this._reportError(new KrakenNetworkError("Empty API response", null, { operation }));
+			}
 
-					if (rateLimitError && attempt <= maxRetries) {
-						this._adapter.log.warn(
-							`Rate limit hit during API call. Retrying in ${delay / 1000}s (attempt ${attempt}/${maxRetries})`,
-						);
-						await new Promise((resolve) => setTimeout(resolve, delay));
-						delay = Math.min(delay * 2, maxDelay); // Exponential backoff
-						continue;
-					}
+			const errors = (response.errors || []).map((error) => classifyKrakenError(error, operation));
+
+			const authError = errors.find((error) => error instanceof KrakenAuthError);
+			if (authError) {
+				if (reauthenticated) {
+					throw this._reportError(authError);
 				}
+				this._adapter.log.warn(`Token expired during ${operation}, refreshing...`);
+				reauthenticated = true;
+				this._tokenManager?.clear();
+				continue;
+			}
 
-				return response.data;
-			} catch (error) {
-				if (error.response && error.response.data) {
-					// Check for rate limiting in error response
-					const errorData = error.response.data;
-					if (errorData.errors) {
-						const rateLimitError = errorData.errors.find(
-							(err) => err.extensions?.errorCode === "KT-CT-1199",
-						);
+			const rateLimitError = errors.find((error) => error instanceof KrakenRateLimitError);
+			if (rateLimitError) {
+				this._countRateLimitHit();
+				if (retries >= MAX_RETRIES) {
+					throw this._reportError(rateLimitError);
+				}
+				await backoff("Rate limit hit");
+				continue;
+			}
 
-						if (rateLimitError && attempt <= maxRetries) {
-							this._adapter.log.warn(
-								`Rate limit hit during API call. Retrying in ${delay / 1000}s (attempt ${attempt}/${maxRetries})`,
-							);
-							await new Promise((resolve) => setTimeout(resolve, delay));
-							delay = Math.min(delay * 2, maxDelay);
-							continue;
-						}
-					}
-					return errorData;
-				} else {
-					if (attempt <= maxRetries) {
-						this._adapter.log.warn(
-							`Network error during API call. Retrying in ${delay / 1000}s (attempt ${attempt}/${maxRetries}): ${error.message}`,
-						);
-						await new Promise((resolve) => setTimeout(resolve, delay));
-						delay = Math.min(delay * 2, maxDelay);
-						continue;
-					}
-					throw error;
+			const criticalErrors = errors.filter((error) => !(error instanceof KrakenNoDataError));
+			if (criticalErrors.length > 0) {
+				if (!options.allowPartial || !response.data) {
+					throw this._reportError(criticalErrors[0]);
 				}
+				// One failed request, so only its first error counts as the last error
+				this._adapter.log.warn(
+					`${operation} returned partial data: ${criticalErrors.map((error) => error.message).join(", ")}`,
+				);
+				this._reportError(criticalErrors[0]);
 			}
+
+			return { data: response.data || null, errors };
 		}
+	}
 
-		throw new Error(`Max retries (${maxRetries}) exceeded for API call`);
+	/**
+	 * Count a rate limit response for the health figures
+	 * @private
+	 */
+	_countRateLimitHit() {
+		this._stats.rateLimitHits++;
+	}
+
+	/**
+	 * Remember an API error as the last error and hand it to the onApiError hook
+	 * @param {import("./krakenErrors").KrakenError} error - Error to report
+	 * @returns {import("./krakenErrors").KrakenError} The same error, for throwing
+	 * @private
+	 */
+	_reportError(error) {
+		this.lastError = error;
+		this._stats.failures++;
+		if (typeof this._options.onApiError === "function") {
+			try {
+				this._options.onApiError(error);
+			} catch (e) {
+				this._adapter.log.debug(`onApiError hook failed: ${e}`);
+			}
+		}
+		return error;
 	}
 
 	/**
@@ -586,11 +830,18 @@ class OctopusGermany {
 		this._tokenManager._refreshLock = true;
 
 		try {
+			// Renew without the password while the refresh token is valid
+			if (await this._loginWithRefreshToken()) {
+				return true;
+			}
+
 			const query = `
                 mutation krakenTokenAuthentication($email: String!, $password: String!) {
                   obtainKrakenToken(input: { email: $email, password: $password }) {
                     token
                     payload
+                    refreshToken
+                    refreshExpiresIn
                   }
                 }
             `;
@@ -598,8 +849,9 @@ class OctopusGermany {
 
 			const retries = 5;
 			let attempt = 0;
-			let delay = 1000; // Start with 1 second delay
-			const maxDelay = 30000; // Cap the delay at 30 seconds
+			let delay = RETRY_BASE_DELAY;
+			const maxDelay = RETRY_MAX_DELAY;
+			let lastError = null;
 
 			while (attempt < retries) {
 				attempt++;
@@ -620,16 +872,18 @@ class OctopusGermany {
 								safeResponse.data.obtainKrakenToken.token = maskedToken;
 							}
 						}
+						if (safeResponse?.data?.obtainKrakenToken?.refreshToken) {
+							safeResponse.data.obtainKrakenToken.refreshToken = "***";
+						}
 						this._adapter.log.info(`Token response (partial): ${JSON.stringify(safeResponse, null, 2)}`);
 					}
 
 					if (response.errors) {
-						const error = response.errors[0] || {};
-						const errorCode = error.extensions?.errorCode;
-						const errorMessage = error.message || "Unknown error";
+						lastError = classifyKrakenError(response.errors[0], "login");
 
-						if (errorCode === "KT-CT-1199") {
+						if (lastError instanceof KrakenRateLimitError) {
 							// Too many requests
+							this._countRateLimitHit();
 							this._adapter.log.warn(
 								`Rate limit hit. Retrying in ${delay / 1000} seconds... (attempt ${attempt} of ${retries})`,
 							);
@@ -637,7 +891,9 @@ class OctopusGermany {
 							delay = Math.min(delay * 2, maxDelay); // Exponential backoff with max cap
 							continue;
 						} else {
-							this._adapter.log.error(`Login failed: ${errorMessage} (attempt ${attempt} of ${retries})`);
+							this._adapter.log.error(
+								`Login failed: ${lastError.message} (attempt ${attempt} of ${retries})`,
+							);
 							// For other types of errors, continue with retries
 							await new Promise((resolve) => setTimeout(resolve, delay));
 							delay = Math.min(delay * 2, maxDelay);
@@ -647,18 +903,10 @@ class OctopusGermany {
 
 					if (response.data && response.data.obtainKrakenToken) {
 						const tokenData = response.data.obtainKrakenToken;
-						const token = tokenData.token;
-						const payload = tokenData.payload;
-
-						if (token) {
-							// Pass both token and expiration time to the token manager
-							if (payload && typeof payload === "object" && payload.exp) {
-								this._tokenManager.setToken(token, payload.exp);
-							} else {
-								// Fall back to JWT decoding if no payload available
-								this._tokenManager.setToken(token);
-							}
 
+						if (tokenData.token) {
+							this._applyTokenResponse(tokenData);
+							await this._persistToken();
 							return true;
 						} else {
 							this._adapter.log.error(
@@ -675,6 +923,12 @@ class OctopusGermany {
 					await new Promise((resolve) => setTimeout(resolve, delay));
 					delay = Math.min(delay * 2, maxDelay);
 				} catch (e) {
+					if (e instanceof FixtureNotFoundError) {
+						lastError = e;
+						this._adapter.log.error(`Login failed: ${e.message}`);
+						break;
+					}
+					lastError = new KrakenNetworkError(e.message, e.response?.status ?? null, { operation: "login" });
 					this._adapter.log.error(`Error during login attempt ${attempt}: ${e}`);
 					await new Promise((resolve) => setTimeout(resolve, delay));
 					delay = Math.min(delay * 2, maxDelay);
@@ -682,12 +936,136 @@ class OctopusGermany {
 			}
 
 			this._adapter.log.error(`All ${retries} login attempts failed.`);
+			this._reportError(lastError || new KrakenAuthError("Login failed", null, { operation: "login" }));
 			return false;
 		} finally {
 			this._tokenManager._refreshLock = false;
 		}
 	}
 
+	/**
+	 * Restore a persisted token of the same login and endpoint into the token manager
+	 * @returns {Promise<boolean>} True if a still valid token or refresh token was restored
+	 */
+	async restoreToken() {
+		if (!this._tokenStore || !this._tokenManager) {
+			return false;
+		}
+
+		try {
+			const stored = await this._tokenStore.load();
+			if (!stored || stored.email !== this._email || stored.endpoint !== this._endpoint) {
+				return false;
+			}
+
+			if (stored.token && stored.expiry) {
+				this._tokenManager.setToken(stored.token, stored.expiry);
+			}
+			if (stored.refreshToken) {
+				this._tokenManager.setRefreshToken(stored.refreshToken, stored.refreshExpiry || null);
+			}
+
+			const restored = this._tokenManager.isValid || this._tokenManager.refreshToken !== null;
+			if (restored) {
+				this._adapter.log.info("Restored persisted Kraken token");
+			}
+			return restored;
+		} catch (e) {
+			this._adapter.log.warn(`Failed to restore persisted token: ${e}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Persist the current token through the token store
+	 * @private
+	 */
+	async _persistToken() {
+		if (!this._tokenStore || !this._tokenManager) {
+			return;
+		}
+
+		try {
+			await this._tokenStore.save({
+				email: this._email,
+				endpoint: this._endpoint,
+				...this._tokenManager.export(),
+			});
+		} catch (e) {
+			this._adapter.log.warn(`Failed to persist token: ${e}`);
+		}
+	}
+
+	/**
+	 * Store a token response of obtainKrakenToken in the token manager
+	 * @param {{token: string, payload?: object, refreshToken?: string, refreshExpiresIn?: number}} tokenData - Token response
+	 * @private
+	 */
+	_applyTokenResponse(tokenData) {
+		const tokenManager = this._tokenManager;
+		if (!tokenManager) {
+			return;
+		}
+		const payload = tokenData.payload;
+
+		// Pass both token and expiration time to the token manager
+		if (payload && typeof payload === "object" && payload.exp) {
+			tokenManager.setToken(tokenData.token, payload.exp);
+		} else {
+			// Fall back to JWT decoding if no payload available
+			tokenManager.setToken(tokenData.token);
+		}
+
+		if (tokenData.refreshToken) {
+			tokenManager.setRefreshToken(tokenData.refreshToken, tokenData.refreshExpiresIn || null);
+		}
+	}
+
+	/**
+	 * Renew the token with the refresh token instead of the password
+	 * @returns {Promise<boolean>} True if the token was renewed
+	 * @private
+	 */
+	async _loginWithRefreshToken() {
+		const tokenManager = this._tokenManager;
+		const refreshToken = tokenManager ? tokenManager.refreshToken : null;
+		if (!refreshToken) {
+			return false;
+		}
+
+		const query = `
+            mutation krakenTokenRefresh($refreshToken: String!) {
+              obtainKrakenToken(input: { refreshToken: $refreshToken }) {
+                token
+                payload
+                refreshToken
+                refreshExpiresIn
+              }
+            }
+        `;
+
+		try {
+			this._adapter.log.debug("Renewing token with refresh token");
+			const response = await this._executeGraphQLQuery(query, { refreshToken });
+			const tokenData = response?.data?.obtainKrakenToken;
+
+			if (response.errors || !tokenData || !tokenData.token) {
+				this._adapter.log.warn(
+					`Refresh token rejected, falling back to password login: ${JSON.stringify(response.errors)}`,
+				);
+				tokenManager?.clearRefreshToken();
+				return false;
+			}
+
+			this._applyTokenResponse(tokenData);
+			await this._persistToken();
+			return true;
+		} catch (e) {
+			this._adapter.log.warn(`Error renewing token with refresh token: ${e}`);
+			return false;
+		}
+	}
+
 	/**
 	 * Ensure a valid token is available, refreshing if necessary
 	 * @returns {Promise<boolean>} True if token is valid
@@ -705,14 +1083,12 @@ class OctopusGermany {
 	 * @returns {Promise<Array|null>} Array of accounts or null on error
 	 */
 	async fetchAccountsWithInitialData() {
-		await this.ensureToken();
-
 		try {
-			const response = await this._executeGraphQLQuery(ACCOUNT_DISCOVERY_QUERY);
-			this._adapter.log.debug(`Fetch accounts with initial data response: ${JSON.stringify(response)}`);
+			const { data } = await this._request(ACCOUNT_DISCOVERY_QUERY, {}, "fetchAccounts");
+			this._adapter.log.debug(`Fetch accounts with initial data response: ${JSON.stringify(data)}`);
 
-			if (response.data && response.data.viewer) {
-				const accounts = response.data.viewer.accounts;
+			if (data && data.viewer) {
+				const accounts = data.viewer.accounts;
 				if (!accounts || accounts.length === 0) {
 					this._adapter.log.error("No accounts found");
 					return null;
@@ -721,7 +1097,7 @@ class OctopusGermany {
 				// Return the accounts data
 				return accounts;
 			} else {
-				this._adapter.log.error(`Unexpected API response structure: ${JSON.stringify(response)}`);
+				this._adapter.log.error(`Unexpected API response structure: ${JSON.stringify(data)}`);
 				return null;
 			}
 		} catch (e) {
@@ -758,16 +1134,14 @@ class OctopusGermany {
 	 * @returns {Promise<object|null>} Account data or null on error
 	 */
 	async fetchAllData(accountNumber) {
-		if (!(await this.ensureToken())) {
-			this._adapter.log.error("Failed to ensure valid token for fetch_all_data");
-			return null;
-		}
-
 		const variables = { accountNumber };
 
 		try {
 			this._adapter.log.debug(`Making API request to fetchAllData for account ${accountNumber}`);
-			const response = await this._executeGraphQLQuery(COMPREHENSIVE_QUERY, variables);
+			// Partial data is fine: accounts without devices get KT-CT-4301 for devices and dispatches
+			const response = await this._request(COMPREHENSIVE_QUERY, variables, "fetchAllData", {
+				allowPartial: true,
+			});
 
 			// Log the full API response when enabled
 			if (this._options.logApiResponses) {
@@ -776,8 +1150,9 @@ class OctopusGermany {
 				this._adapter.log.debug("API request completed. Set logApiResponses=true for full response logging");
 			}
 
-			if (response === null) {
-				this._adapter.log.error("API returned null response");
+			const data = response.data;
+			if (!data) {
+				this._adapter.log.error("API response contains no data");
 				return null;
 			}
 
@@ -790,124 +1165,76 @@ class OctopusGermany {
 				plannedDispatches: [],
 			};
 
-			// Now check for partial data availability
-			if (response.data) {
-				this._adapter.log.debug(`Response data structure: ${JSON.stringify(Object.keys(response.data))}`);
-				const data = response.data;
-
-				// Process available data fields
-				if (data.account) {
-					result.account = data.account;
-
-					// Extract product information from the account agreements if available
-					if (result.account && result.account.allProperties && result.account.allProperties.length > 0) {
-						try {
-							// Try to extract products from electricityMalos agreements
-							const products = [];
-							for (const propertyData of result.account.allProperties) {
-								if (propertyData.electricityMalos) {
-									for (const malo of propertyData.electricityMalos) {
-										if (malo.agreements) {
-											for (const agreement of malo.agreements) {
-												if (agreement.product) {
-													products.push(agreement.product);
-												}
+			this._adapter.log.debug(`Response data structure: ${JSON.stringify(Object.keys(data))}`);
+
+			// Process available data fields
+			if (data.account) {
+				result.account = data.account;
+
+				// Extract product information from the account agreements if available
+				if (result.account && result.account.allProperties && result.account.allProperties.length > 0) {
+					try {
+						// Try to extract products from electricityMalos agreements
+						const products = [];
+						for (const propertyData of result.account.allProperties) {
+							if (propertyData.electricityMalos) {
+								for (const malo of propertyData.electricityMalos) {
+									if (malo.agreements) {
+										for (const agreement of malo.agreements) {
+											if (agreement.product) {
+												products.push(agreement.product);
 											}
 										}
 									}
 								}
 							}
+						}
 
-							// Only update if we found products
-							if (products.length > 0) {
-								result.products = products;
-								this._adapter.log.debug(`Extracted ${products.length} products from account data`);
-							}
-						} catch (extractError) {
-							this._adapter.log.warn(`Error extracting products from account data: ${extractError}`);
+						// Only update if we found products
+						if (products.length > 0) {
+							result.products = products;
+							this._adapter.log.debug(`Extracted ${products.length} products from account data`);
 						}
+					} catch (extractError) {
+						this._adapter.log.warn(`Error extracting products from account data: ${extractError}`);
 					}
 				}
+			}
 
-				if (data.devices) {
-					result.devices = data.devices !== null ? data.devices : [];
-				}
-
-				if (data.completedDispatches) {
-					result.completedDispatches = data.completedDispatches !== null ? data.completedDispatches : [];
-				}
-
-				if (data.plannedDispatches) {
-					result.plannedDispatches = data.plannedDispatches !== null ? data.plannedDispatches : [];
-				}
-
-				// Only log errors but don't fail the whole request if we got at least account data
-				if (response.errors && result.account) {
-					// Filter only the errors that are about missing devices or dispatches
-					const nonCriticalErrors = (response.errors || []).filter((error) => {
-						const path = error.path || [];
-						return (
-							path[0] &&
-							["completedDispatches", "plannedDispatches", "devices"].includes(path[0]) &&
-							error.extensions?.errorCode === "KT-CT-4301"
-						);
-					});
-
-					// Handle other errors that might affect the account data
-					const otherErrors = (response.errors || []).filter((error) => !nonCriticalErrors.includes(error));
-
-					if (nonCriticalErrors.length > 0) {
-						this._adapter.log.warn(
-							`API returned non-critical errors (expected for accounts without devices/dispatches): ${JSON.stringify(nonCriticalErrors)}`,
-						);
-					}
+			if (data.devices) {
+				result.devices = data.devices;
+			}
 
-					if (otherErrors.length > 0) {
-						this._adapter.log.error(`API returned critical errors: ${JSON.stringify(otherErrors)}`);
-
-						// Check for token expiry in the other errors
-						for (const error of otherErrors) {
-							const errorCode = error.extensions?.errorCode;
-							if (errorCode === "KT-CT-1124") {
-								// JWT expired
-								this._adapter.log.warn("Token expired, refreshing...");
-								this._tokenManager.clear();
-								const success = await this.login();
-								if (success) {
-									// Retry with new token
-									return await this.fetchAllData(accountNumber);
-								}
-							}
-						}
-					}
-				}
+			if (data.completedDispatches) {
+				result.completedDispatches = data.completedDispatches;
+			}
 
-				return result;
-			} else if (response.errors) {
-				// Handle critical errors that prevent any data from being returned
-				const error = response.errors[0] || {};
-				const errorCode = error.extensions?.errorCode;
-
-				// Check if token expired error
-				if (errorCode === "KT-CT-1124") {
-					// JWT expired
-					this._adapter.log.warn("Token expired, refreshing...");
-					this._tokenManager.clear();
-					const success = await this.login();
-					if (success) {
-						// Retry with new token
-						return await this.fetchAllData(accountNumber);
-					}
-				}
+			if (data.plannedDispatches) {
+				result.plannedDispatches = data.plannedDispatches;
+			}
 
-				this._adapter.log.error(
-					`API returned critical errors with no data: ${JSON.stringify(response.errors)}`,
+			if (response.errors.length > 0) {
+				this._adapter.log.warn(
+					`API returned non-critical errors (expected for accounts without devices/dispatches): ${response.errors.map((error) => `${error.path} ${error.code}`).join(", ")}`,
 				);
-				return null;
-			} else {
-				this._adapter.log.error("API response contains neither data nor errors");
-				return null;
 			}
+
+			// Seed the section caches with what this snapshot delivered, so the cached
+			// fetch methods only query the remaining sections
+			if (data.account) {
+				this._setCache("account", accountNumber, result.account);
+			}
+			if (data.devices) {
+				this._setCache("devices", accountNumber, result.devices);
+			}
+			if (data.plannedDispatches && data.completedDispatches) {
+				this._setCache("dispatches", accountNumber, {
+					plannedDispatches: result.plannedDispatches,
+					completedDispatches: result.completedDispatches,
+				});
+			}
+
+			return result;
 		} catch (e) {
 			this._adapter.log.error(`Error fetching all data: ${e}`);
 			return null;
@@ -916,73 +1243,102 @@ class OctopusGermany {
 
 	/**
 	 * Check if cached data is still valid
-	 * @param {string} cacheKey - Key for cache entry
+	 * @param {string} cacheKey - Data section (account, devices, dispatches)
+	 * @param {string} accountNumber - Account number
 	 * @returns {boolean} True if cache is valid
 	 * @private
 	 */
-	_isCacheValid(cacheKey) {
-		const cache = this._cache[cacheKey];
-		if (!cache || !cache.data) {
+	_isCacheValid(cacheKey, accountNumber) {
+		const section = this._cache[cacheKey];
+		const entry = section?.entries[accountNumber];
+		if (!section || !entry || !entry.data) {
 			return false;
 		}
-		const age = Date.now() - cache.timestamp;
-		return age < cache.ttl;
+		const age = Date.now() - entry.timestamp;
+		return age < section.ttl - CACHE_EXPIRY_TOLERANCE;
 	}
 
 	/**
 	 * Get data from cache
-	 * @param {string} cacheKey - Key for cache entry
+	 * @param {string} cacheKey - Data section (account, devices, dispatches)
+	 * @param {string} accountNumber - Account number
 	 * @returns {any|null} Cached data or null
 	 * @private
 	 */
-	_getFromCache(cacheKey) {
-		if (this._isCacheValid(cacheKey)) {
-			this._adapter.log.debug(`Using cached data for ${cacheKey}`);
-			return this._cache[cacheKey].data;
+	_getFromCache(cacheKey, accountNumber) {
+		if (this._isCacheValid(cacheKey, accountNumber)) {
+			this._adapter.log.debug(`Using cached data for ${cacheKey} of account ${accountNumber}`);
+			return this._cache[cacheKey].entries[accountNumber].data;
 		}
 		return null;
 	}
 
 	/**
 	 * Store data in cache
-	 * @param {string} cacheKey - Key for cache entry
+	 * @param {string} cacheKey - Data section (account, devices, dispatches)
+	 * @param {string} accountNumber - Account number
 	 * @param {any} data - Data to cache
 	 * @private
 	 */
-	_setCache(cacheKey, data) {
-		this._cache[cacheKey] = {
+	_setCache(cacheKey, accountNumber, data) {
+		this._cache[cacheKey].entries[accountNumber] = {
 			data: data,
 			timestamp: Date.now(),
-			ttl: this._cache[cacheKey].ttl,
 		};
-		this._adapter.log.debug(`Cached data for ${cacheKey}`);
+		this._adapter.log.debug(`Cached data for ${cacheKey} of account ${accountNumber}`);
 	}
 
 	/**
-	 * Fetch only devices data
+	 * Fetch only account data (properties, agreements, ledgers)
 	 * @param {string} accountNumber - Account number
 	 * @param {boolean} useCache - Whether to use cached data (default: true)
-	 * @returns {Promise<Array|null>} Devices array or null on error
+	 * @returns {Promise<Object|null>} Account data or null on error
 	 */
-	async fetchDevices(accountNumber, useCache = true) {
+	async fetchAccount(accountNumber, useCache = true) {
 		if (useCache) {
-			const cached = this._getFromCache("devices");
+			const cached = this._getFromCache("account", accountNumber);
 			if (cached) {
 				return cached;
 			}
 		}
 
-		if (!(await this.ensureToken())) {
-			this._adapter.log.error("Failed to ensure valid token for fetchDevices");
+		try {
+			const { data } = await this._request(ACCOUNT_ONLY_QUERY, { accountNumber }, "fetchAccount");
+
+			if (data && data.account) {
+				this._setCache("account", accountNumber, data.account);
+				return data.account;
+			}
+
+			this._adapter.log.error("Failed to fetch account data");
+			return null;
+		} catch (e) {
+			this._adapter.log.error(`Error fetching account data: ${e}`);
 			return null;
 		}
+	}
+
+	/**
+	 * Fetch only devices data
+	 * @param {string} accountNumber - Account number
+	 * @param {boolean} useCache - Whether to use cached data (default: true)
+	 * @returns {Promise<Array|null>} Devices array or null on error
+	 */
+	async fetchDevices(accountNumber, useCache = true) {
+		if (useCache) {
+			const cached = this._getFromCache("devices", accountNumber);
+			if (cached) {
+				return cached;
+			}
+		}
 
 		try {
-			const response = await this._executeGraphQLQuery(DEVICES_ONLY_QUERY, { accountNumber });
+			// Accounts without devices get a KT-CT-4301 error instead of an empty list
+			const { data } = await this._request(DEVICES_ONLY_QUERY, { accountNumber }, "fetchDevices");
 
-			if (response && response.data && response.data.devices) {
-				const devices = response.data.devices || [];
-				this._setCache("devices", devices);
+			if (data) {
+				const devices = data.devices || [];
+				this._setCache("devices", accountNumber, devices);
 				return devices;
 			}
 
@@ -1002,26 +1358,21 @@ class OctopusGermany {
 	 */
 	async fetchDispatches(accountNumber, useCache = true) {
 		if (useCache) {
-			const cached = this._getFromCache("dispatches");
+			const cached = this._getFromCache("dispatches", accountNumber);
 			if (cached) {
 				return cached;
 			}
 		}
 
-		if (!(await this.ensureToken())) {
-			this._adapter.log.error("Failed to ensure valid token for fetchDispatches");
-			return null;
-		}
-
 		try {
-			const response = await this._executeGraphQLQuery(DISPATCHES_ONLY_QUERY, { accountNumber });
+			const { data } = await this._request(DISPATCHES_ONLY_QUERY, { accountNumber }, "fetchDispatches");
 
-			if (response && response.data) {
+			if (data) {
 				const dispatches = {
-					plannedDispatches: response.data.plannedDispatches || [],
-					completedDispatches: response.data.completedDispatches || [],
+					plannedDispatches: data.plannedDispatches || [],
+					completedDispatches: data.completedDispatches || [],
 				};
-				this._setCache("dispatches", dispatches);
+				this._setCache("dispatches", accountNumber, dispatches);
 				return dispatches;
 			}
 
@@ -1033,25 +1384,100 @@ class OctopusGermany {
 		}
 	}
 
+	/**
+	 * Fetch smart meter consumption measurements of an electricity MaLo
+	 * @param {string} propertyId - Property ID from account.allProperties
+	 * @param {string} maloNumber - Market location (MaLo) number
+	 * @param {Date} startAt - Start of the period
+	 * @param {Date} endAt - End of the period
+	 * @param {string} [frequency] - Reading frequency (RAW_INTERVAL, HOUR_INTERVAL, DAY_INTERVAL)
+	 * @returns {Promise<Array<{startAt: string, endAt: string, value: number, unit: string}>|null>} Measurements sorted by start or null on error
+	 */
+	async fetchMeasurements(propertyId, maloNumber, startAt, endAt, frequency = "DAY_INTERVAL") {
+		const variables = {
+			propertyId,
+			first: MEASUREMENTS_PAGE_SIZE,
+			utilityFilters: [
+				{
+					electricityFilters: {
+						readingFrequencyType: frequency,
+						readingDirection: "CONSUMPTION",
+						marketSupplyPointId: maloNumber,
+					},
+				},
+			],
+			startAt: startAt.toISOString(),
+			endAt: endAt.toISOString(),
+			timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+			after: null,
+		};
+
+		try {
+			const measurements = [];
+
+			// Follow the cursor, bounded to avoid endless paging on API errors
+			for (let page = 0; page < MEASUREMENTS_MAX_PAGES; page++) {
+				const { data } = await this._request(MEASUREMENTS_QUERY, variables, "fetchMeasurements");
+
+				const connection = data?.property?.measurements;
+				if (!connection) {
+					this._adapter.log.error("Failed to fetch measurements");
+					return null;
+				}
+
+				for (const edge of connection.edges || []) {
+					const node = edge.node || {};
+					if (node.startAt && node.value !== null && node.value !== undefined) {
+						measurements.push({
+							startAt: node.startAt,
+							endAt: node.endAt,
+							value: parseFloat(node.value),
+							unit: node.unit,
+						});
+					}
+				}
+
+				if (!connection.pageInfo || !connection.pageInfo.hasNextPage) {
+					break;
+				}
+				variables.after = connection.pageInfo.endCursor;
+			}
+
+			this._adapter.log.debug(
+				`Fetched ${measurements.length} ${frequency} measurements for MaLo ${maloNumber}`,
+			);
+			return measurements.sort((a, b) => Date.parse(a.startAt) - Date.parse(b.startAt));
+		} catch (e) {
+			this._adapter.log.error(`Error fetching measurements: ${e}`);
+			return null;
+		}
+	}
+
 	/**
 	 * Invalidate cache for a specific key or all caches
-	 * @param {string|null} [cacheKey] - Key to invalidate, or null for all
+	 * @param {string|null} [cacheKey] - Data section to invalidate, or null for all
+	 * @param {string|null} [accountNumber] - Account to invalidate, or null for all accounts
 	 */
-	invalidateCache(cacheKey = null) {
-		if (cacheKey) {
-			if (this._cache && this._cache[cacheKey]) {
-				this._cache[cacheKey].timestamp = 0;
-				this._adapter.log.debug(`Invalidated cache for ${cacheKey}`);
+	invalidateCache(cacheKey = null, accountNumber = null) {
+		if (!this._cache) {
+			return;
+		}
+
+		const keys = cacheKey ? [cacheKey] : Object.keys(this._cache);
+		for (const key of keys) {
+			const section = this._cache[key];
+			if (!section) {
+				continue;
 			}
-		} else {
-			// Invalidate all caches
-			if (this._cache) {
-				Object.keys(this._cache).forEach((key) => {
-					this._cache[key].timestamp = 0;
-				});
-				this._adapter.log.debug("Invalidated all caches");
+			for (const [number, entry] of Object.entries(section.entries)) {
+				if (!accountNumber || number === accountNumber) {
+					entry.timestamp = 0;
+				}
 			}
 		}
+		this._adapter.log.debug(
+			`Invalidated cache for ${cacheKey || "all sections"}${accountNumber ? ` of account ${accountNumber}` : ""}`,
+		);
 	}
 
 	/**
@@ -1061,11 +1487,6 @@ class OctopusGermany {
 	 * @returns {Promise<string|null>} Device ID if successful, null on error
 	 */
 	async changeDeviceSuspension(deviceId, action) {
-		if (!(await this.ensureToken())) {
-			this._adapter.log.error("Failed to ensure valid token for change_device_suspension");
-			return null;
-		}
-
 		const query = `
             mutation ChangeDeviceSuspension($deviceId: ID = "", $action: SmartControlAction!) {
               updateDeviceSmartControl(input: {deviceId: $deviceId, action: $action}) {
@@ -1077,33 +1498,13 @@ class OctopusGermany {
 		this._adapter.log.debug(`Executing changeDeviceSuspension: deviceId=${deviceId}, action=${action}`);
 
 		try {
-			const response = await this._executeGraphQLQuery(query, variables);
-			this._adapter.log.debug(`Change device suspension response: ${JSON.stringify(response)}`);
-
-			if (response.errors) {
-				const error = response.errors[0] || {};
-				const errorCode = error.extensions?.errorCode;
-
-				// Check if token expired error
-				if (errorCode === "KT-CT-1124") {
-					// JWT expired
-					this._adapter.log.warn("Token expired during device suspension change, refreshing...");
-					this._tokenManager.clear();
-					const success = await this.login();
-					if (success) {
-						// Retry with new token
-						return await this.changeDeviceSuspension(deviceId, action);
-					}
-				}
-
-				this._adapter.log.error(`API returned errors: ${JSON.stringify(response.errors)}`);
-				return null;
-			}
+			const { data } = await this._request(query, variables, "changeDeviceSuspension");
+			this._adapter.log.debug(`Change device suspension response: ${JSON.stringify(data)}`);
 
 			// Invalidate device cache after successful suspension change
 			this.invalidateCache("devices");
 
-			return response?.data?.updateDeviceSmartControl?.id || null;
+			return data?.updateDeviceSmartControl?.id || null;
 		} catch (e) {
 			this._adapter.log.error(`Error changing device suspension: ${e}`);
 			return null;
@@ -1111,96 +1512,132 @@ class OctopusGermany {
 	}
 
 	/**
-	 * Set vehicle charging preferences
-	 * @param {string} accountNumber - Account number
-	 * @param {number} weekdayTargetSoc - Weekday target state of charge percentage
-	 * @param {number} weekendTargetSoc - Weekend target state of charge percentage
-	 * @param {string} weekdayTargetTime - Weekday target time (HH:MM format)
-	 * @param {string} weekendTargetTime - Weekend target time (HH:MM format)
-	 * @returns {Promise<boolean>} True if successful
+	 * Start or cancel a boost charge (charge now, regardless of the schedule)
+	 * @param {string} deviceId - Device ID
+	 * @param {string} action - Action to perform (BOOST, CANCEL)
+	 * @returns {Promise<string|null>} Device ID if successful, null on error
 	 */
-	async setVehicleChargePreferences(
-		accountNumber,
-		weekdayTargetSoc,
-		weekendTargetSoc,
-		weekdayTargetTime,
-		weekendTargetTime,
-	) {
-		if (!(await this.ensureToken())) {
-			this._adapter.log.error("Failed to ensure valid token for setVehicleChargePreferences");
-			return false;
-		}
+	async changeBoostCharge(deviceId, action) {
+		const query = `
+            mutation ChangeBoostCharge($deviceId: ID!, $action: BoostChargeAction!) {
+              updateBoostCharge(input: {deviceId: $deviceId, action: $action}) {
+                id
+              }
+            }
+        `;
+		const variables = { deviceId, action };
+		this._adapter.log.debug(`Executing changeBoostCharge: deviceId=${deviceId}, action=${action}`);
 
-		// Format and validate the input times
 		try {
-			// Format weekday time - ensure it's in HH:MM format
-			const weekdayTime = this.formatTimeToHhMm(weekdayTargetTime);
+			const { data } = await this._request(query, variables, "changeBoostCharge");
+			this._adapter.log.debug(`Change boost charge response: ${JSON.stringify(data)}`);
+
+			// Boosting changes device status and planned dispatches
+			this.invalidateCache("devices");
+			this.invalidateCache("dispatches");
+
+			return data?.updateBoostCharge?.id || null;
+		} catch (e) {
+			this._adapter.log.error(`Error changing boost charge: ${e}`);
+			return null;
+		}
+	}
 
-			// Format weekend time - ensure it's in HH:MM format
-			const weekendTime = this.formatTimeToHhMm(weekendTargetTime);
+	/**
+	 * Set the per-day charging schedule of a SmartFlex device
+	 * @param {string} deviceId - Device ID
+	 * @param {Array<{dayOfWeek: string, max: number, min?: number, time: string}>} schedules - One entry per day (dayOfWeek e.g. MONDAY, max = target SOC in %)
+	 * @returns {Promise<boolean>} True if successful
+	 */
+	async setChargeSchedules(deviceId, schedules) {
+		return await this.setDevicePreferences(deviceId, { mode: "CHARGE", unit: "PERCENTAGE", schedules });
+	}
 
-			this._adapter.log.debug(`Formatted times for API: weekday=${weekdayTime}, weekend=${weekendTime}`);
+	/**
+	 * Set the preferences (mode, unit, schedules) of a SmartFlex device
+	 * @param {string} deviceId - Device ID
+	 * @param {{mode: string, unit: string, schedules: Array<{dayOfWeek: string, max: number, min?: number, time: string}>}} preferences - Complete device preferences, min is only sent if present
+	 * @returns {Promise<boolean>} True if successful
+	 */
+	async setDevicePreferences(deviceId, preferences) {
+		let input;
+		try {
+			input = {
+				deviceId,
+				mode: preferences.mode,
+				unit: preferences.unit,
+				schedules: preferences.schedules.map((schedule) => ({
+					dayOfWeek: schedule.dayOfWeek,
+					max: schedule.max,
+					...(schedule.min !== undefined && schedule.min !== null ? { min: schedule.min } : {}),
+					time: this.formatTimeToHhMm(schedule.time),
+				})),
+			};
+		} catch (e) {
+			this._adapter.log.error(`Time format validation error: ${e}`);
+			return false;
+		}
 
-			// Use the same GraphQL mutation format that has been confirmed to work
-			const query = `
-            mutation setVehicleChargePreferences($accountNumber: String = "") {
-              setVehicleChargePreferences(
-                input: {accountNumber: $accountNumber, weekdayTargetSoc: ${weekdayTargetSoc}, weekendTargetSoc: ${weekendTargetSoc}, weekdayTargetTime: "${weekdayTime}", weekendTargetTime: "${weekendTime}"}
-              ) {
-                krakenflexDevice {
-                  provider
-                }
+		const query = `
+            mutation SetDevicePreferences($input: SmartFlexDevicePreferencesInput!) {
+              setDevicePreferences(input: $input) {
+                id
               }
             }
-            `;
+        `;
+		this._adapter.log.debug(`Executing setDevicePreferences: deviceId=${deviceId}, input=${JSON.stringify(input)}`);
 
-			const variables = { accountNumber };
+		try {
+			const { data } = await this._request(query, { input }, "setDevicePreferences");
+			this._adapter.log.debug(`Set device preferences response: ${JSON.stringify(data)}`);
 
-			this._adapter.log.debug(`Making setVehicleChargePreferences API request with account: ${accountNumber}`);
+			// Invalidate device cache so the new preferences are mirrored on the next poll
+			this.invalidateCache("devices");
 
-			try {
-				const response = await this._executeGraphQLQuery(query, variables);
-				this._adapter.log.debug(`Set vehicle charge preferences response: ${JSON.stringify(response)}`);
-
-				if (response.errors) {
-					const error = response.errors[0] || {};
-					const errorCode = error.extensions?.errorCode;
-					const errorMessage = error.message || "Unknown error";
-
-					this._adapter.log.error(
-						`API error setting vehicle charge preferences: ${errorMessage} (code: ${errorCode})`,
-					);
-
-					// Check if token expired error
-					if (errorCode === "KT-CT-1124") {
-						// JWT expired
-						this._adapter.log.warn(
-							"Token expired during setting vehicle charge preferences, refreshing...",
-						);
-						this._tokenManager.clear();
-						const success = await this.login();
-						if (success) {
-							// Retry with new token
-							return await this.setVehicleChargePreferences(
-								accountNumber,
-								weekdayTargetSoc,
-								weekendTargetSoc,
-								weekdayTargetTime,
-								weekendTargetTime,
-							);
-						}
-					}
+			return true;
+		} catch (e) {
+			this._adapter.log.error(`Error setting device preferences: ${e}`);
+			return false;
+		}
+	}
 
-					return false;
-				}
+	/**
+	 * Submit a meter reading for a market location
+	 * @param {string} accountNumber - Account number
+	 * @param {string} maloNumber - Market location (MaLo) number
+	 * @param {string} meterId - Meter ID of the MaLo
+	 * @param {number} value - Meter reading in kWh
+	 * @param {Date} readAt - Time the reading was taken
+	 * @returns {Promise<boolean>} True if successful
+	 */
+	async submitMeterReading(accountNumber, maloNumber, meterId, value, readAt) {
+		const query = `
+            mutation SubmitMeterReading($input: SubmitMeterReadingInput!) {
+              submitMeterReading(input: $input) {
+                meterReading {
+                  readAt
+                  value
+                }
+              }
+            }
+        `;
+		const variables = {
+			input: {
+				accountNumber,
+				maloNumber,
+				meterId,
+				value: String(value),
+				readAt: readAt.toISOString(),
+			},
+		};
+		this._adapter.log.debug(`Executing submitMeterReading: MaLo=${maloNumber}, meter=${meterId}, value=${value}`);
 
-				return true;
-			} catch (e) {
-				this._adapter.log.error(`Error setting vehicle charge preferences: ${e}`);
-				return false;
-			}
+		try {
+			const { data } = await this._request(query, variables, "submitMeterReading");
+			this._adapter.log.debug(`Submit meter reading response: ${JSON.stringify(data)}`);
+			return true;
 		} catch (e) {
-			this._adapter.log.error(`Time format validation error: ${e}`);
+			this._adapter.log.error(`Error submitting meter reading: ${e}`);
 			return false;
 		}
 	}
@@ -0,0 +1,139 @@
+/**
+ * Stale object handling for ioBroker.calamari
+ *
+ * Remembers which objects were written for the latest snapshot of a mirrored
+ * subtree (devices, dispatches, account data) and removes, or marks as
+ * unavailable, the objects that were not written again for a grace period
+ */
+
+"use strict";
+
+const STALE_MODES = ["unavailable", "delete"];
+
+// State quality "device not connected", used for values the API no longer reports
+const QUALITY_UNAVAILABLE = 0x42;
+
+/**
+ * Tracks the objects of mirrored subtrees between snapshots
+ */
+class StaleObjectTracker {
+	/**
+	 * @param {object} adapter - ioBroker adapter instance
+	 * @param {string} mode - "unavailable" sets the state quality, "delete" removes the objects
+	 * @param {number} graceHours - Hours an object may be missing before it is handled
+	 */
+	constructor(adapter, mode, graceHours) {
+		if (!STALE_MODES.includes(mode)) {
+			throw new Error(`Unknown stale object mode '${mode}'`);
+		}
+		this._adapter = adapter;
+		this.mode = mode;
+		this.graceMs = Math.max(0, Number(graceHours) || 0) * 3600000;
+		/** @type {Map<string, Set<string>>} Object IDs written in the latest snapshot, by subtree */
+		this._snapshots = new Map();
+		/** @type {Map<string, number>} Time an object was first missing from its snapshot */
+		this._missingSince = new Map();
+		/** @type {Set<string>} States marked as unavailable */
+		this._unavailable = new Set();
+	}
+
+	/**
+	 * Start a new snapshot of a subtree, objects written before are forgotten
+	 * @param {string} basePath - Full object ID of the subtree
+	 */
+	begin(basePath) {
+		this._snapshots.set(basePath, new Set());
+	}
+
+	/**
+	 * Record an object as written in the current snapshot of its subtree
+	 * @param {string} id - Object ID
+	 */
+	touch(id) {
+		for (const [basePath, ids] of this._snapshots) {
+			if (id.startsWith(`${basePath}.`)) {
+				ids.add(id);
+			}
+		}
+	}
+
+	/**
+	 * Compare the objects below a subtree with its latest snapshot and handle the objects
+	 * that have been missing for longer than the grace period
+	 * @param {string} basePath - Full object ID of the subtree
+	 * @returns {Promise<number>} Number of objects deleted or marked as unavailable
+	 */
+	async sweep(basePath) {
+		const written = this._snapshots.get(basePath);
+		if (!written) {
+			return 0;
+		}
+
+		const adapter = this._adapter;
+		const objects = {
+			...(await adapter.getForeignObjectsAsync(`${basePath}.*`, "channel")),
+			...(await adapter.getForeignObjectsAsync(`${basePath}.*`, "state")),
+		};
+
+		const writtenPaths = [...written];
+		const now = Date.now();
+		const stale = [];
+		for (const [id, obj] of Object.entries(objects || {})) {
+			// A channel is alive as long as anything below it was written
+			const alive = written.has(id) || writtenPaths.some((path) => path.startsWith(`${id}.`));
+			if (alive) {
+				this._missingSince.delete(id);
+				if (this._unavailable.delete(id)) {
+					const state = await adapter.getStateAsync(id);
+					await adapter.setStateAsync(id, { val: state ? state.val : null, ack: true, q: 0 });
+				}
+				continue;
+			}
+
+			if (!this._missingSince.has(id)) {
+				this._missingSince.set(id, now);
+			}
+			if (now - (this._missingSince.get(id) || now) >= this.graceMs) {
+				stale.push({ id, type: obj.type });
+			}
+		}
+
+		let handled = 0;
+		const deleted = [];
+		for (const { id, type } of stale.sort((a, b) => a.id.localeCompare(b.id))) {
+			if (this.mode === "delete") {
+				if (deleted.some((path) => id.startsWith(`${path}.`))) {
+					continue;
+				}
+				adapter.log.debug(`Deleting stale object ${id}`);
+				await adapter.delObjectAsync(id, { recursive: type === "channel" });
+				this._missingSince.delete(id);
+				deleted.push(id);
+				handled++;
+			} else if (type === "state" && !this._unavailable.has(id)) {
+				const state = await adapter.getStateAsync(id);
+				if (state && state.q === QUALITY_UNAVAILABLE) {
+					this._unavailable.add(id);
+					continue;
+				}
+				adapter.log.debug(`Marking stale state ${id} as unavailable`);
+				await adapter.setStateAsync(id, { val: state ? state.val : null, ack: true, q: QUALITY_UNAVAILABLE });
+				this._unavailable.add(id);
+				handled++;
+			}
+		}
+
+		if (handled > 0) {
+			adapter.log.info(
+				`${this.mode === "delete" ? "Deleted" : "Marked as unavailable"} ${handled} stale object(s) below ${basePath}`,
+			);
+		}
+		return handled;
+	}
+}
+
+module.exports = {
+	STALE_MODES,
+	QUALITY_UNAVAILABLE,
+	StaleObjectTracker,
+};
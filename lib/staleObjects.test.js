@@ -0,0 +1,132 @@
+"use strict";
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { QUALITY_UNAVAILABLE, StaleObjectTracker } = require("./staleObjects");
+
+const BASE = "calamari.0.accounts.A-1.devices";
+
+/**
+ * Fake adapter with an in-memory object and state store
+ * @param {Object<string, string>} objects - Object types by ID
+ * @returns {object} Adapter stub
+ */
+function createAdapter(objects) {
+	const states = new Map(Object.keys(objects).map((id) => [id, { val: 1, ack: true, q: 0 }]));
+	const log = { debug() {}, info() {} };
+	return {
+		log,
+		objects,
+		states,
+		getForeignObjectsAsync: async (pattern, type) => {
+			const prefix = pattern.replace(/\*$/, "");
+			return Object.fromEntries(
+				Object.entries(objects)
+					.filter(([id, objectType]) => id.startsWith(prefix) && objectType === type)
+					.map(([id, objectType]) => [id, { type: objectType }]),
+			);
+		},
+		getStateAsync: async (id) => states.get(id) || null,
+		setStateAsync: async (id, state) => {
+			states.set(id, state);
+		},
+		delObjectAsync: async (id, options) => {
+			for (const key of Object.keys(objects)) {
+				if (key === id || (options && options.recursive && key.startsWith(`${id}.`))) {
+					delete objects[key];
+					states.delete(key);
+				}
+			}
+		},
+	};
+}
+
+describe("StaleObjectTracker => sweep", () => {
+	let clock;
+	let adapter;
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers({ now: new Date("2026-03-10T12:00:00Z"), toFake: ["Date"] });
+		adapter = createAdapter({
+			[`${BASE}.car`]: "channel",
+			[`${BASE}.car.name`]: "state",
+			[`${BASE}.car.status`]: "state",
+			[`${BASE}.wallbox`]: "channel",
+			[`${BASE}.wallbox.name`]: "state",
+		});
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	/**
+	 * Write a snapshot that contains only the car name
+	 * @param {StaleObjectTracker} tracker - Tracker under test
+	 * @returns {Promise<number>} Handled objects
+	 */
+	async function snapshot(tracker) {
+		tracker.begin(BASE);
+		tracker.touch(`${BASE}.car.name`);
+		return tracker.sweep(BASE);
+	}
+
+	it("should keep missing objects during the grace period", async () => {
+		const tracker = new StaleObjectTracker(adapter, "delete", 2);
+
+		expect(await snapshot(tracker)).to.equal(0);
+		clock.tick(2 * 3600000 - 1);
+		expect(await snapshot(tracker)).to.equal(0);
+		expect(adapter.objects).to.have.property(`${BASE}.wallbox.name`);
+	});
+
+	it("should delete objects missing for the grace period, channels recursively", async () => {
+		const tracker = new StaleObjectTracker(adapter, "delete", 2);
+
+		await snapshot(tracker);
+		clock.tick(2 * 3600000);
+		expect(await snapshot(tracker)).to.equal(2);
+		expect(Object.keys(adapter.objects)).to.deep.equal([`${BASE}.car`, `${BASE}.car.name`]);
+	});
+
+	it("should mark missing states as unavailable and restore them once written again", async () => {
+		const tracker = new StaleObjectTracker(adapter, "unavailable", 0);
+
+		expect(await snapshot(tracker)).to.equal(2);
+		expect(adapter.states.get(`${BASE}.car.status`)).to.include({ val: 1, ack: true, q: QUALITY_UNAVAILABLE });
+		expect(adapter.states.get(`${BASE}.wallbox.name`)).to.include({ q: QUALITY_UNAVAILABLE });
+		expect(adapter.objects).to.have.property(`${BASE}.wallbox`);
+
+		// Already marked states are not written again
+		expect(await snapshot(tracker)).to.equal(0);
+
+		tracker.begin(BASE);
+		tracker.touch(`${BASE}.car.name`);
+		tracker.touch(`${BASE}.car.status`);
+		await tracker.sweep(BASE);
+		expect(adapter.states.get(`${BASE}.car.status`)).to.include({ q: 0 });
+	});
+
+	it("should reset the grace period of an object that is written again", async () => {
+		const tracker = new StaleObjectTracker(adapter, "delete", 2);
+
+		await snapshot(tracker);
+		clock.tick(3600000);
+		tracker.begin(BASE);
+		tracker.touch(`${BASE}.car.name`);
+		tracker.touch(`${BASE}.wallbox.name`);
+		await tracker.sweep(BASE);
+
+		clock.tick(3600000);
+		expect(await snapshot(tracker)).to.equal(1);
+		expect(adapter.objects).to.have.property(`${BASE}.wallbox`);
+		expect(adapter.objects).to.not.have.property(`${BASE}.car.status`);
+	});
+
+	it("should not sweep a subtree without a snapshot", async () => {
+		const tracker = new StaleObjectTracker(adapter, "delete", 0);
+
+		expect(await tracker.sweep(BASE)).to.equal(0);
+		expect(Object.keys(adapter.objects)).to.have.length(5);
+	});
+});
@@ -0,0 +1,193 @@
+/**
+ * Tariff model for ioBroker.calamari
+ *
+ * Resolves the rate of a Kraken agreement at a point in time from the
+ * timeslot activation rules (local time of the host), finds the next
+ * point in time the applicable rate changes and builds the price timeline
+ */
+
+"use strict";
+
+/**
+ * Rate of a tariff with the local daily windows it applies in
+ * @typedef {Object} TariffSlot
+ * @property {string} name - Timeslot name, empty for single-rate products
+ * @property {number|null} grossRate - Gross rate in ct/kWh
+ * @property {Array<{from: number, to: number}>} windows - Active windows in minutes after local midnight;
+ *   from > to wraps over midnight, from === to covers the whole day
+ */
+
+/**
+ * "HH:MM[:SS]" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes after midnight
+ */
+function parseTimeOfDay(time) {
+	const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(String(time || ""));
+	return match ? Number(match[1]) * 60 + Number(match[2]) + Number(match[3] || 0) / 60 : null;
+}
+
+/**
+ * Build the slots of an agreement from its unitRateInformation
+ * @param {Object|null} rateInfo - unitRateInformation of the agreement
+ * @returns {TariffSlot[]} Slots; one all-day slot for single-rate products
+ */
+function getTariffSlots(rateInfo) {
+	if (!rateInfo) {
+		return [];
+	}
+	const rate = (value) => (value === undefined || value === null || isNaN(parseFloat(value)) ? null : parseFloat(value));
+
+	if (rateInfo.__typename === "TimeOfUseProductUnitRateInformation" && Array.isArray(rateInfo.rates)) {
+		return rateInfo.rates.map((slot) => ({
+			name: slot.timeslotName || "",
+			grossRate: rate(slot.latestGrossUnitRateCentsPerKwh),
+			windows: (slot.timeslotActivationRules || [])
+				.map((rule) => ({ from: parseTimeOfDay(rule.activeFromTime), to: parseTimeOfDay(rule.activeToTime) }))
+				.filter((window) => window.from !== null && window.to !== null),
+		}));
+	}
+
+	return [{ name: "", grossRate: rate(rateInfo.latestGrossUnitRateCentsPerKwh), windows: [{ from: 0, to: 0 }] }];
+}
+
+/**
+ * Find the slot that applies at a point in time
+ * @param {TariffSlot[]} slots - Slots of the agreement
+ * @param {Date} date - Point in time
+ * @returns {TariffSlot|null} Applicable slot
+ */
+function getSlotAt(slots, date) {
+	const minutes = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+	return (
+		slots.find((slot) =>
+			slot.windows.some(({ from, to }) => {
+				if (from === to) {
+					return true;
+				}
+				return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+			}),
+		) || null
+	);
+}
+
+/**
+ * Find the next point in time at which another slot applies
+ * @param {TariffSlot[]} slots - Slots of the agreement
+ * @param {Date} date - Point in time to search from
+ * @returns {{at: Date, slot: TariffSlot|null}|null} Next change, null if the rate never changes
+ */
+function getNextChange(slots, date) {
+	const current = getSlotAt(slots, date);
+	const boundaries = new Set();
+	for (const slot of slots) {
+		for (const { from, to } of slot.windows) {
+			boundaries.add(from);
+			boundaries.add(to);
+		}
+	}
+
+	// Boundaries of today and the next two days cover every daily window
+	const candidates = [];
+	for (let day = 0; day < 3; day++) {
+		for (const minutes of boundaries) {
+			const at = new Date(date.getFullYear(), date.getMonth(), date.getDate() + day, 0, 0, 0, 0);
+			at.setHours(Math.floor(minutes / 60), Math.floor(minutes % 60), Math.round((minutes % 1) * 60));
+			if (at > date) {
+				candidates.push(at);
+			}
+		}
+	}
+	candidates.sort((a, b) => a.getTime() - b.getTime());
+
+	for (const at of candidates) {
+		const slot = getSlotAt(slots, at);
+		if (slot !== current) {
+			return { at, slot };
+		}
+	}
+	return null;
+}
+
+/**
+ * Segment of the price timeline; start and end in ms since epoch so chart widgets can use them as time axis
+ * @typedef {Object} PriceSegment
+ * @property {number} start - Start in ms since epoch
+ * @property {number} end - End in ms since epoch
+ * @property {number|null} grossRate - Gross rate in ct/kWh
+ * @property {string} source - Timeslot name ("tariff" for single-rate products) or "dispatch"
+ */
+
+/**
+ * Build the contiguous price timeline of a period from the tariff slots and the planned dispatches.
+ * Dispatch windows are charged at the cheapest rate of the tariff and replace the timeslot they overlap.
+ * @param {TariffSlot[]} slots - Slots of the agreement
+ * @param {Array<{start: string, end: string}>} dispatches - Normalized planned dispatches
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {PriceSegment[]} Segments sorted by start, adjacent segments with the same rate and source merged
+ */
+function buildPriceTimeline(slots, dispatches, from, to) {
+	const end = to.getTime();
+	const rates = slots.map((slot) => slot.grossRate).filter((rate) => rate !== null);
+	const dispatchRate = rates.length > 0 ? Math.min(...rates) : null;
+
+	// Timeslot segments
+	const tariff = [];
+	for (let time = from.getTime(); time < end; ) {
+		const at = new Date(time);
+		const slot = getSlotAt(slots, at);
+		const next = getNextChange(slots, at);
+		const until = next ? Math.min(next.at.getTime(), end) : end;
+		tariff.push({ start: time, end: until, grossRate: slot ? slot.grossRate : null, source: slot?.name || "tariff" });
+		time = until;
+	}
+
+	// Dispatch windows within the period, overlapping windows joined
+	const windows = [];
+	for (const dispatch of dispatches) {
+		const start = Math.max(Date.parse(dispatch.start), from.getTime());
+		const stop = Math.min(Date.parse(dispatch.end), end);
+		if (start >= stop) {
+			continue;
+		}
+		const last = windows[windows.length - 1];
+		if (last && start <= last.end) {
+			last.end = Math.max(last.end, stop);
+		} else {
+			windows.push({ start, end: stop });
+		}
+	}
+
+	// Cut the timeslot segments at the dispatch windows
+	const segments = [];
+	const push = (segment) => {
+		const last = segments[segments.length - 1];
+		if (last && last.end === segment.start && last.source === segment.source && last.grossRate === segment.grossRate) {
+			last.end = segment.end;
+		} else if (segment.start < segment.end) {
+			segments.push(segment);
+		}
+	};
+	for (const segment of tariff) {
+		let time = segment.start;
+		for (const window of windows) {
+			if (window.end <= time || window.start >= segment.end) {
+				continue;
+			}
+			push({ ...segment, start: time, end: Math.max(time, window.start) });
+			time = Math.min(window.end, segment.end);
+			push({ start: Math.max(window.start, segment.start), end: time, grossRate: dispatchRate, source: "dispatch" });
+		}
+		push({ ...segment, start: time });
+	}
+	return segments;
+}
+
+module.exports = {
+	parseTimeOfDay,
+	getTariffSlots,
+	getSlotAt,
+	getNextChange,
+	buildPriceTimeline,
+};
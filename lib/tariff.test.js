@@ -0,0 +1,99 @@
+"use strict";
+
+const { expect } = require("chai");
+const { getSlotAt, getNextChange, buildPriceTimeline } = require("./tariff");
+
+// Two-rate product: night 00:00-05:00, day 05:00-00:00 (wraps over midnight)
+const NIGHT = { name: "NIGHT", grossRate: 20, windows: [{ from: 0, to: 300 }] };
+const DAY = { name: "DAY", grossRate: 35, windows: [{ from: 300, to: 0 }] };
+const SLOTS = [NIGHT, DAY];
+
+describe("tariff => slots in local time", () => {
+	const timezone = process.env.TZ;
+
+	before(() => {
+		process.env.TZ = "Europe/Berlin";
+	});
+
+	after(() => {
+		if (timezone === undefined) {
+			delete process.env.TZ;
+		} else {
+			process.env.TZ = timezone;
+		}
+	});
+
+	describe("getSlotAt", () => {
+		it("should apply a window ending at midnight up to midnight", () => {
+			expect(getSlotAt(SLOTS, new Date(2026, 2, 10, 5, 0))).to.equal(DAY);
+			expect(getSlotAt(SLOTS, new Date(2026, 2, 10, 23, 59))).to.equal(DAY);
+			expect(getSlotAt(SLOTS, new Date(2026, 2, 11, 0, 0))).to.equal(NIGHT);
+			expect(getSlotAt(SLOTS, new Date(2026, 2, 11, 4, 59))).to.equal(NIGHT);
+		});
+
+		it("should treat a window with equal start and end as the whole day", () => {
+			const single = { name: "", grossRate: 30, windows: [{ from: 0, to: 0 }] };
+			expect(getSlotAt([single], new Date(2026, 2, 10, 13, 37))).to.equal(single);
+		});
+	});
+
+	describe("getNextChange", () => {
+		it("should find the change at midnight of a wrap-around window", () => {
+			const next = getNextChange(SLOTS, new Date(2026, 2, 10, 23, 0));
+			expect(next).to.deep.equal({ at: new Date(2026, 2, 11, 0, 0), slot: NIGHT });
+		});
+
+		it("should find the change in local time across the October DST switch", () => {
+			// 25 Oct 2026: clocks go back at 03:00 CEST, 00:30 CEST is 22:30 UTC
+			const next = getNextChange(SLOTS, new Date(Date.UTC(2026, 9, 24, 22, 30)));
+			expect(next).to.deep.equal({ at: new Date("2026-10-25T04:00:00.000Z"), slot: DAY });
+		});
+
+		it("should return null for a single-rate product", () => {
+			const single = { name: "", grossRate: 30, windows: [{ from: 0, to: 0 }] };
+			expect(getNextChange([single], new Date(2026, 2, 10, 12, 0))).to.equal(null);
+		});
+	});
+
+	describe("buildPriceTimeline", () => {
+		const at = (hours, minutes = 0) => new Date(2026, 2, 10, hours, minutes).getTime();
+		const dispatch = (from, to) => ({ start: new Date(from).toISOString(), end: new Date(to).toISOString() });
+
+		it("should split the timeslots at the slot boundaries", () => {
+			expect(buildPriceTimeline(SLOTS, [], new Date(at(0)), new Date(at(24)))).to.deep.equal([
+				{ start: at(0), end: at(5), grossRate: 20, source: "NIGHT" },
+				{ start: at(5), end: at(24), grossRate: 35, source: "DAY" },
+			]);
+		});
+
+		it("should cut dispatch windows out of the timeslots at the cheapest rate", () => {
+			const dispatches = [dispatch(at(4), at(6)), dispatch(at(12), at(12, 30)), dispatch(at(12, 15), at(13))];
+			expect(buildPriceTimeline(SLOTS, dispatches, new Date(at(0)), new Date(at(24)))).to.deep.equal([
+				{ start: at(0), end: at(4), grossRate: 20, source: "NIGHT" },
+				{ start: at(4), end: at(6), grossRate: 20, source: "dispatch" },
+				{ start: at(6), end: at(12), grossRate: 35, source: "DAY" },
+				{ start: at(12), end: at(13), grossRate: 20, source: "dispatch" },
+				{ start: at(13), end: at(24), grossRate: 35, source: "DAY" },
+			]);
+		});
+
+		it("should clip dispatch windows to the period", () => {
+			const dispatches = [dispatch(at(22), at(26))];
+			expect(buildPriceTimeline(SLOTS, dispatches, new Date(at(20)), new Date(at(23)))).to.deep.equal([
+				{ start: at(20), end: at(22), grossRate: 35, source: "DAY" },
+				{ start: at(22), end: at(23), grossRate: 20, source: "dispatch" },
+			]);
+		});
+
+		it("should cover the 25 hours of the October DST day", () => {
+			const from = new Date(2026, 9, 25);
+			const to = new Date(2026, 9, 26);
+			const timeline = buildPriceTimeline(SLOTS, [], from, to);
+
+			expect(timeline.map((segment) => [segment.source, (segment.end - segment.start) / 3600000])).to.deep.equal([
+				["NIGHT", 6],
+				["DAY", 19],
+			]);
+		});
+	});
+});
@@ -7,8 +7,15 @@
 // The adapter-core module gives you access to the core ioBroker functions
 // you need to create an adapter
 const utils = require("@iobroker/adapter-core");
+const path = require("path");
 const OctopusGermany = require("./lib/octopusGermany");
 const { AIDecisionEngine, SmartChargingPlanner } = require("./lib/aiMode");
+const { DispatchArchive } = require("./lib/dispatchArchive");
+const { normalizeDispatches } = require("./lib/dispatches");
+const { getTariffSlots, getSlotAt, getNextChange, buildPriceTimeline } = require("./lib/tariff");
+const { StaleObjectTracker } = require("./lib/staleObjects");
+const { getFieldSchema, centsToEuro } = require("./lib/fieldSchema");
+const { CostTracker } = require("./lib/costTracker");
 
 const N = {
 	triggerAiDecision:        { en: "Trigger AI Decision",                       de: "KI-Entscheidung auslösen",                        ru: "Запустить решение ИИ",                    pt: "Acionar decisão de IA",                     nl: "AI-beslissing activeren",           fr: "Déclencher une décision IA",          it: "Attiva decisione IA",                   es: "Activar decisión IA",                   pl: "Wyzwól decyzję AI",                        uk: "Запустити рішення ШІ",                   "zh-cn": "触发AI决策" },
@@ -32,8 +39,157 @@ const N = {
 	netRate:                  { en: "Net Rate (ct/kWh)",                         de: "Nettostrompreis (ct/kWh)",                        ru: "Тариф нетто (цент/кВт·ч)",               pt: "Tarifa líquida (ct/kWh)",                   nl: "Nettotarief (ct/kWh)",              fr: "Tarif net (ct/kWh)",                  it: "Tariffa netta (ct/kWh)",                es: "Tarifa neta (ct/kWh)",                  pl: "Stawka netto (ct/kWh)",                   uk: "Тариф нетто (цент/кВт·год)",             "zh-cn": "不含税电价 (ct/kWh)" },
 	activeFrom:               { en: "Active From Time",                          de: "Aktiv ab",                                        ru: "Активно с",                               pt: "Ativo a partir de",                         nl: "Actief vanaf",                      fr: "Actif à partir de",                   it: "Attivo dalle",                          es: "Activo desde",                          pl: "Aktywne od",                              uk: "Активно з",                              "zh-cn": "开始时间" },
 	activeTo:                 { en: "Active To Time",                            de: "Aktiv bis",                                       ru: "Активно до",                              pt: "Ativo até",                                 nl: "Actief tot",                        fr: "Actif jusqu'à",                       it: "Attivo fino alle",                      es: "Activo hasta",                          pl: "Aktywne do",                              uk: "Активно до",                             "zh-cn": "结束时间" },
+	accountsChannel:          { en: "Octopus Accounts",                          de: "Octopus-Verträge",                                ru: "Договоры Octopus",                        pt: "Contas Octopus",                            nl: "Octopus-contracten",                fr: "Contrats Octopus",                    it: "Contratti Octopus",                     es: "Contratos Octopus",                     pl: "Umowy Octopus",                            uk: "Договори Octopus",                       "zh-cn": "Octopus 合同" },
+	consumptionChannel:       { en: "Smart Meter Consumption",                   de: "Smart-Meter-Verbrauch",                           ru: "Потребление по смарт-счётчику",           pt: "Consumo do contador inteligente",           nl: "Slimme-meterverbruik",              fr: "Consommation du compteur intelligent", it: "Consumo del contatore intelligente",   es: "Consumo del contador inteligente",      pl: "Zużycie z inteligentnego licznika",        uk: "Споживання за смарт-лічильником",        "zh-cn": "智能电表用电量" },
+	consumptionYesterday:     { en: "Consumption Yesterday (kWh)",               de: "Verbrauch gestern (kWh)",                         ru: "Потребление вчера (кВт·ч)",               pt: "Consumo de ontem (kWh)",                    nl: "Verbruik gisteren (kWh)",           fr: "Consommation d'hier (kWh)",           it: "Consumo di ieri (kWh)",                 es: "Consumo de ayer (kWh)",                 pl: "Zużycie wczoraj (kWh)",                    uk: "Споживання вчора (кВт·год)",             "zh-cn": "昨日用电量 (kWh)" },
+	consumptionThisMonth:     { en: "Consumption This Month (kWh)",              de: "Verbrauch dieser Monat (kWh)",                    ru: "Потребление за этот месяц (кВт·ч)",       pt: "Consumo deste mês (kWh)",                   nl: "Verbruik deze maand (kWh)",         fr: "Consommation du mois (kWh)",          it: "Consumo di questo mese (kWh)",          es: "Consumo de este mes (kWh)",             pl: "Zużycie w tym miesiącu (kWh)",             uk: "Споживання цього місяця (кВт·год)",      "zh-cn": "本月用电量 (kWh)" },
+	consumptionLast24h:       { en: "Consumption Intervals Last 24 h (JSON)",    de: "Verbrauchsintervalle letzte 24 h (JSON)",         ru: "Интервалы потребления за 24 ч (JSON)",    pt: "Intervalos de consumo últimas 24 h (JSON)", nl: "Verbruiksintervallen laatste 24 u (JSON)", fr: "Intervalles de consommation 24 h (JSON)", it: "Intervalli di consumo ultime 24 h (JSON)", es: "Intervalos de consumo últimas 24 h (JSON)", pl: "Interwały zużycia z 24 h (JSON)", uk: "Інтервали споживання за 24 год (JSON)", "zh-cn": "过去24小时用电区间 (JSON)" },
+	consumptionInterval:      { en: "Latest Interval Consumption (kWh)",         de: "Verbrauch letztes Intervall (kWh)",               ru: "Потребление за последний интервал (кВт·ч)", pt: "Consumo do último intervalo (kWh)",       nl: "Verbruik laatste interval (kWh)",   fr: "Consommation du dernier intervalle (kWh)", it: "Consumo dell'ultimo intervallo (kWh)", es: "Consumo del último intervalo (kWh)", pl: "Zużycie ostatniego interwału (kWh)",      uk: "Споживання за останній інтервал (кВт·год)", "zh-cn": "最近区间用电量 (kWh)" },
+	consumptionLastUpdate:    { en: "Last Consumption Update",                   de: "Letzte Verbrauchsaktualisierung",                 ru: "Последнее обновление потребления",        pt: "Última atualização do consumo",             nl: "Laatste verbruiksupdate",           fr: "Dernière mise à jour de la consommation", it: "Ultimo aggiornamento del consumo",  es: "Última actualización del consumo",      pl: "Ostatnia aktualizacja zużycia",            uk: "Останнє оновлення споживання",           "zh-cn": "最近用电量更新" },
+	consumptionStoredUntil:   { en: "Consumption Stored in History Until",       de: "Verbrauch im Verlauf gespeichert bis",            ru: "Потребление сохранено в истории до",      pt: "Consumo guardado no histórico até",         nl: "Verbruik in historie opgeslagen tot", fr: "Consommation enregistrée dans l'historique jusqu'à", it: "Consumo salvato nella cronologia fino a", es: "Consumo guardado en el historial hasta", pl: "Zużycie zapisane w historii do", uk: "Споживання збережено в історії до", "zh-cn": "用电量已存入历史记录至" },
+	meterChannel:             { en: "Meter Readings",                            de: "Zählerstände",                                    ru: "Показания счётчиков",                     pt: "Leituras do contador",                      nl: "Meterstanden",                      fr: "Relevés de compteur",                 it: "Letture del contatore",                 es: "Lecturas del contador",                 pl: "Odczyty liczników",                        uk: "Показання лічильників",                  "zh-cn": "电表读数" },
+	submitReading:            { en: "Submit Meter Reading (kWh)",                de: "Zählerstand übermitteln (kWh)",                   ru: "Передать показание (кВт·ч)",              pt: "Enviar leitura (kWh)",                      nl: "Meterstand doorgeven (kWh)",        fr: "Transmettre le relevé (kWh)",         it: "Invia lettura (kWh)",                   es: "Enviar lectura (kWh)",                  pl: "Prześlij odczyt (kWh)",                    uk: "Передати показання (кВт·год)",           "zh-cn": "提交电表读数 (kWh)" },
+	lastSubmittedReading:     { en: "Last Submitted Reading (kWh)",              de: "Zuletzt übermittelter Zählerstand (kWh)",         ru: "Последнее переданное показание (кВт·ч)",  pt: "Última leitura enviada (kWh)",              nl: "Laatst doorgegeven meterstand (kWh)", fr: "Dernier relevé transmis (kWh)",     it: "Ultima lettura inviata (kWh)",          es: "Última lectura enviada (kWh)",          pl: "Ostatnio przesłany odczyt (kWh)",          uk: "Останнє передане показання (кВт·год)",   "zh-cn": "最近提交的读数 (kWh)" },
+	lastSubmission:           { en: "Last Submission",                           de: "Letzte Übermittlung",                             ru: "Последняя передача",                      pt: "Último envio",                              nl: "Laatste doorgave",                  fr: "Dernière transmission",               it: "Ultimo invio",                          es: "Último envío",                          pl: "Ostatnie przesłanie",                      uk: "Остання передача",                       "zh-cn": "最近提交时间" },
+	chargeScheduleChannel:    { en: "Charge Schedule",                           de: "Ladeplan",                                        ru: "График зарядки",                          pt: "Horário de carregamento",                   nl: "Laadschema",                        fr: "Planning de charge",                  it: "Programma di ricarica",                 es: "Horario de carga",                      pl: "Harmonogram ładowania",                    uk: "Графік заряджання",                      "zh-cn": "充电计划" },
+	monday:                   { en: "Monday",                                    de: "Montag",                                          ru: "Понедельник",                             pt: "Segunda-feira",                             nl: "Maandag",                           fr: "Lundi",                               it: "Lunedì",                                es: "Lunes",                                 pl: "Poniedziałek",                             uk: "Понеділок",                              "zh-cn": "星期一" },
+	tuesday:                  { en: "Tuesday",                                   de: "Dienstag",                                        ru: "Вторник",                                 pt: "Terça-feira",                               nl: "Dinsdag",                           fr: "Mardi",                               it: "Martedì",                               es: "Martes",                                pl: "Wtorek",                                   uk: "Вівторок",                               "zh-cn": "星期二" },
+	wednesday:                { en: "Wednesday",                                 de: "Mittwoch",                                        ru: "Среда",                                   pt: "Quarta-feira",                              nl: "Woensdag",                          fr: "Mercredi",                            it: "Mercoledì",                             es: "Miércoles",                             pl: "Środa",                                    uk: "Середа",                                 "zh-cn": "星期三" },
+	thursday:                 { en: "Thursday",                                  de: "Donnerstag",                                      ru: "Четверг",                                 pt: "Quinta-feira",                              nl: "Donderdag",                         fr: "Jeudi",                               it: "Giovedì",                               es: "Jueves",                                pl: "Czwartek",                                 uk: "Четвер",                                 "zh-cn": "星期四" },
+	friday:                   { en: "Friday",                                    de: "Freitag",                                         ru: "Пятница",                                 pt: "Sexta-feira",                               nl: "Vrijdag",                           fr: "Vendredi",                            it: "Venerdì",                               es: "Viernes",                               pl: "Piątek",                                   uk: "П'ятниця",                               "zh-cn": "星期五" },
+	saturday:                 { en: "Saturday",                                  de: "Samstag",                                         ru: "Суббота",                                 pt: "Sábado",                                    nl: "Zaterdag",                          fr: "Samedi",                              it: "Sabato",                                es: "Sábado",                                pl: "Sobota",                                   uk: "Субота",                                 "zh-cn": "星期六" },
+	sunday:                   { en: "Sunday",                                    de: "Sonntag",                                         ru: "Воскресенье",                             pt: "Domingo",                                   nl: "Zondag",                            fr: "Dimanche",                            it: "Domenica",                              es: "Domingo",                               pl: "Niedziela",                                uk: "Неділя",                                 "zh-cn": "星期日" },
+	scheduleTargetSoc:        { en: "Target SOC (%)",                            de: "Ladeziel (%)",                                    ru: "Целевой заряд (%)",                       pt: "SOC alvo (%)",                              nl: "Doel-SOC (%)",                      fr: "SOC cible (%)",                       it: "SOC obiettivo (%)",                     es: "SOC objetivo (%)",                      pl: "Docelowy SOC (%)",                         uk: "Цільовий заряд (%)",                     "zh-cn": "目标电量 (%)" },
+	scheduleTargetTime:       { en: "Target Time (HH:MM)",                       de: "Zielzeit (HH:MM)",                                ru: "Целевое время (ЧЧ:ММ)",                   pt: "Hora alvo (HH:MM)",                         nl: "Doeltijd (HH:MM)",                  fr: "Heure cible (HH:MM)",                 it: "Orario obiettivo (HH:MM)",              es: "Hora objetivo (HH:MM)",                 pl: "Godzina docelowa (HH:MM)",                 uk: "Цільовий час (ГГ:ХХ)",                   "zh-cn": "目标时间 (HH:MM)" },
+	controlChannel:           { en: "Device Control",                            de: "Gerätesteuerung",                                 ru: "Управление устройством",                  pt: "Controlo do dispositivo",                   nl: "Apparaatbesturing",                 fr: "Commande de l'appareil",              it: "Controllo dispositivo",                 es: "Control del dispositivo",               pl: "Sterowanie urządzeniem",                   uk: "Керування пристроєм",                    "zh-cn": "设备控制" },
+	boostCharge:              { en: "Boost Charge (charge now)",                 de: "Sofortladen (Boost)",                             ru: "Ускоренная зарядка (сейчас)",             pt: "Carga imediata (boost)",                    nl: "Direct laden (boost)",              fr: "Recharge immédiate (boost)",          it: "Ricarica immediata (boost)",            es: "Carga inmediata (boost)",               pl: "Ładowanie natychmiastowe (boost)",         uk: "Негайне заряджання (boost)",             "zh-cn": "立即充电（加速）" },
+	deviceKind:               { en: "Device kind",                               de: "Geräteart",                                       ru: "Тип устройства",                          pt: "Tipo de dispositivo",                       nl: "Apparaatsoort",                     fr: "Type d'appareil",                     it: "Tipo di dispositivo",                   es: "Tipo de dispositivo",                   pl: "Rodzaj urządzenia",                        uk: "Тип пристрою",                           "zh-cn": "设备类别" },
+	deviceControls:           { en: "Supported controls",                        de: "Unterstützte Steuerungen",                        ru: "Поддерживаемые функции управления",       pt: "Controlos suportados",                      nl: "Ondersteunde besturingen",          fr: "Commandes prises en charge",          it: "Controlli supportati",                  es: "Controles compatibles",                 pl: "Obsługiwane sterowania",                   uk: "Підтримувані керування",                 "zh-cn": "支持的控制" },
+	dispatchStatsChannel:     { en: "Dispatch Statistics",                       de: "Dispatch-Statistik",                              ru: "Статистика диспетчеризаций",              pt: "Estatísticas de despachos",                 nl: "Dispatch-statistieken",             fr: "Statistiques des dispatches",         it: "Statistiche dei dispatch",              es: "Estadísticas de despachos",             pl: "Statystyki dispatchy",                     uk: "Статистика диспетчеризацій",             "zh-cn": "调度统计" },
+	statsToday:               { en: "Today",                                     de: "Heute",                                           ru: "Сегодня",                                 pt: "Hoje",                                      nl: "Vandaag",                           fr: "Aujourd'hui",                         it: "Oggi",                                  es: "Hoy",                                   pl: "Dzisiaj",                                  uk: "Сьогодні",                               "zh-cn": "今天" },
+	statsWeek:                { en: "This Week",                                 de: "Diese Woche",                                     ru: "Эта неделя",                              pt: "Esta semana",                               nl: "Deze week",                         fr: "Cette semaine",                       it: "Questa settimana",                      es: "Esta semana",                           pl: "Ten tydzień",                              uk: "Цей тиждень",                            "zh-cn": "本周" },
+	statsMonth:               { en: "This Month",                                de: "Dieser Monat",                                    ru: "Этот месяц",                              pt: "Este mês",                                  nl: "Deze maand",                        fr: "Ce mois-ci",                          it: "Questo mese",                           es: "Este mes",                              pl: "Ten miesiąc",                              uk: "Цей місяць",                             "zh-cn": "本月" },
+	dispatchCount:            { en: "Completed dispatches",                      de: "Abgeschlossene Dispatches",                       ru: "Завершённые диспетчеризации",             pt: "Despachos concluídos",                      nl: "Voltooide dispatches",              fr: "Dispatches terminés",                 it: "Dispatch completati",                   es: "Despachos completados",                 pl: "Zakończone dispatche",                     uk: "Завершені диспетчеризації",              "zh-cn": "已完成调度" },
+	dispatchKwh:              { en: "Dispatched energy",                         de: "Geladene Energie",                                ru: "Переданная энергия",                      pt: "Energia despachada",                        nl: "Geleverde energie",                 fr: "Énergie dispatchée",                  it: "Energia erogata",                       es: "Energía despachada",                    pl: "Dostarczona energia",                      uk: "Передана енергія",                       "zh-cn": "调度电量" },
+	dispatchMinutes:          { en: "Dispatch duration",                         de: "Dispatch-Dauer",                                  ru: "Длительность диспетчеризаций",            pt: "Duração dos despachos",                     nl: "Dispatch-duur",                     fr: "Durée des dispatches",                it: "Durata dei dispatch",                   es: "Duración de los despachos",             pl: "Czas trwania dispatchy",                   uk: "Тривалість диспетчеризацій",             "zh-cn": "调度时长" },
+	rateValidTo:              { en: "Current rate valid until",                  de: "Aktueller Preis gültig bis",                      ru: "Текущий тариф действует до",              pt: "Tarifa atual válida até",                   nl: "Huidig tarief geldig tot",          fr: "Tarif actuel valable jusqu'au",       it: "Tariffa attuale valida fino al",        es: "Tarifa actual válida hasta",            pl: "Obecna stawka ważna do",                   uk: "Поточний тариф діє до",                  "zh-cn": "当前费率有效期至" },
+	nextGrossRate:            { en: "Next announced gross rate",                 de: "Nächster angekündigter Bruttopreis",              ru: "Следующий объявленный тариф (брутто)",    pt: "Próxima tarifa bruta anunciada",            nl: "Volgend aangekondigd brutotarief",  fr: "Prochain tarif brut annoncé",         it: "Prossima tariffa lorda annunciata",     es: "Próxima tarifa bruta anunciada",        pl: "Następna ogłoszona stawka brutto",         uk: "Наступний оголошений тариф (брутто)",    "zh-cn": "下一个公布的含税费率" },
+	nextRateFrom:             { en: "Next rate effective from",                  de: "Nächster Preis gültig ab",                        ru: "Следующий тариф действует с",             pt: "Próxima tarifa válida a partir de",         nl: "Volgend tarief geldig vanaf",       fr: "Prochain tarif valable à partir du",  it: "Prossima tariffa valida dal",           es: "Próxima tarifa válida desde",           pl: "Następna stawka ważna od",                 uk: "Наступний тариф діє з",                  "zh-cn": "下一个费率生效日期" },
+	contractChannel:          { en: "Contract",                                  de: "Vertrag",                                         ru: "Договор",                                 pt: "Contrato",                                  nl: "Contract",                          fr: "Contrat",                             it: "Contratto",                             es: "Contrato",                              pl: "Umowa",                                    uk: "Договір",                                "zh-cn": "合同" },
+	contractProductCode:      { en: "Active product code",                       de: "Aktiver Produktcode",                             ru: "Код активного продукта",                  pt: "Código do produto ativo",                   nl: "Actieve productcode",               fr: "Code du produit actif",               it: "Codice prodotto attivo",                es: "Código del producto activo",            pl: "Kod aktywnego produktu",                   uk: "Код активного продукту",                 "zh-cn": "当前产品代码" },
+	contractProductName:      { en: "Active product",                            de: "Aktiver Tarif",                                   ru: "Активный продукт",                        pt: "Produto ativo",                             nl: "Actief product",                    fr: "Produit actif",                       it: "Prodotto attivo",                       es: "Producto activo",                       pl: "Aktywny produkt",                          uk: "Активний продукт",                       "zh-cn": "当前产品" },
+	contractValidFrom:        { en: "Contract start",                            de: "Vertragsbeginn",                                  ru: "Начало договора",                         pt: "Início do contrato",                        nl: "Begin contract",                    fr: "Début du contrat",                    it: "Inizio contratto",                      es: "Inicio del contrato",                   pl: "Początek umowy",                           uk: "Початок договору",                       "zh-cn": "合同开始" },
+	contractValidTo:          { en: "Contract end",                              de: "Vertragsende",                                    ru: "Окончание договора",                      pt: "Fim do contrato",                           nl: "Einde contract",                    fr: "Fin du contrat",                      it: "Fine contratto",                        es: "Fin del contrato",                      pl: "Koniec umowy",                             uk: "Закінчення договору",                    "zh-cn": "合同结束" },
+	contractDaysRemaining:    { en: "Days until contract end",                   de: "Tage bis Vertragsende",                           ru: "Дней до окончания договора",              pt: "Dias até o fim do contrato",                nl: "Dagen tot einde contract",          fr: "Jours avant la fin du contrat",       it: "Giorni alla fine del contratto",        es: "Días hasta el fin del contrato",        pl: "Dni do końca umowy",                       uk: "Днів до закінчення договору",            "zh-cn": "距合同结束天数" },
+	contractExpiring:         { en: "Contract ends soon",                        de: "Vertrag läuft bald aus",                          ru: "Договор скоро истекает",                  pt: "Contrato termina em breve",                 nl: "Contract loopt binnenkort af",      fr: "Le contrat expire bientôt",           it: "Il contratto scade a breve",            es: "El contrato vence pronto",              pl: "Umowa wkrótce wygasa",                     uk: "Договір скоро закінчується",             "zh-cn": "合同即将到期" },
+	contractPricingPath:      { en: "Pricing channel of the active agreement",   de: "Preis-Kanal des aktiven Vertrags",                ru: "Канал цен активного договора",            pt: "Canal de preços do contrato ativo",         nl: "Prijskanaal van het actieve contract", fr: "Canal de prix du contrat actif",   it: "Canale prezzi del contratto attivo",    es: "Canal de precios del contrato activo",  pl: "Kanał cen aktywnej umowy",                 uk: "Канал цін активного договору",           "zh-cn": "当前合同的价格通道" },
+	balanceChannel:           { en: "Account Balance",                           de: "Kontostand",                                      ru: "Баланс счёта",                            pt: "Saldo da conta",                            nl: "Rekeningsaldo",                     fr: "Solde du compte",                     it: "Saldo del conto",                       es: "Saldo de la cuenta",                    pl: "Saldo konta",                              uk: "Баланс рахунку",                         "zh-cn": "账户余额" },
+	ledgerBalance:            { en: "Balance",                                   de: "Kontostand",                                      ru: "Баланс",                                  pt: "Saldo",                                     nl: "Saldo",                             fr: "Solde",                               it: "Saldo",                                 es: "Saldo",                                 pl: "Saldo",                                    uk: "Баланс",                                 "zh-cn": "余额" },
+	ledgerChange:             { en: "Change since last update",                  de: "Änderung seit letzter Aktualisierung",            ru: "Изменение с последнего обновления",       pt: "Variação desde a última atualização",       nl: "Wijziging sinds laatste update",    fr: "Variation depuis la dernière mise à jour", it: "Variazione dall'ultimo aggiornamento", es: "Cambio desde la última actualización", pl: "Zmiana od ostatniej aktualizacji",      uk: "Зміна з останнього оновлення",           "zh-cn": "自上次更新以来的变化" },
+	ledgerLastChange:         { en: "Last balance change",                       de: "Letzte Kontostandsänderung",                      ru: "Последнее изменение баланса",             pt: "Última alteração do saldo",                 nl: "Laatste saldowijziging",            fr: "Dernière variation du solde",         it: "Ultima variazione del saldo",           es: "Último cambio de saldo",                pl: "Ostatnia zmiana salda",                    uk: "Остання зміна балансу",                  "zh-cn": "最后余额变动" },
+	ledgerLowBalance:         { en: "Balance below threshold",                   de: "Kontostand unter Schwellwert",                    ru: "Баланс ниже порога",                      pt: "Saldo abaixo do limite",                    nl: "Saldo onder drempelwaarde",         fr: "Solde sous le seuil",                 it: "Saldo sotto la soglia",                 es: "Saldo por debajo del umbral",           pl: "Saldo poniżej progu",                      uk: "Баланс нижче порогу",                    "zh-cn": "余额低于阈值" },
+	dispatchesChannel:        { en: "Dispatches",                                de: "Dispatches",                                      ru: "Диспетчеризации",                         pt: "Despachos",                                 nl: "Dispatches",                        fr: "Dispatches",                          it: "Dispatch",                              es: "Despachos",                             pl: "Dispatche",                                uk: "Диспетчеризації",                        "zh-cn": "调度" },
+	plannedChannel:           { en: "Planned dispatches",                        de: "Geplante Dispatches",                             ru: "Запланированные диспетчеризации",         pt: "Despachos planeados",                       nl: "Geplande dispatches",               fr: "Dispatches planifiés",                it: "Dispatch pianificati",                  es: "Despachos planificados",                pl: "Zaplanowane dispatche",                    uk: "Заплановані диспетчеризації",            "zh-cn": "计划调度" },
+	plannedCount:             { en: "Number of planned dispatches",              de: "Anzahl geplanter Dispatches",                     ru: "Количество запланированных",              pt: "Número de despachos planeados",             nl: "Aantal geplande dispatches",        fr: "Nombre de dispatches planifiés",      it: "Numero di dispatch pianificati",        es: "Número de despachos planificados",      pl: "Liczba zaplanowanych dispatchy",           uk: "Кількість запланованих",                 "zh-cn": "计划调度数量" },
+	plannedJson:              { en: "Planned dispatches (JSON)",                 de: "Geplante Dispatches (JSON)",                      ru: "Запланированные (JSON)",                  pt: "Despachos planeados (JSON)",                nl: "Geplande dispatches (JSON)",        fr: "Dispatches planifiés (JSON)",         it: "Dispatch pianificati (JSON)",           es: "Despachos planificados (JSON)",         pl: "Zaplanowane dispatche (JSON)",             uk: "Заплановані (JSON)",                     "zh-cn": "计划调度 (JSON)" },
+	plannedSlot:              { en: "Planned dispatch",                          de: "Geplanter Dispatch",                              ru: "Запланированная диспетчеризация",         pt: "Despacho planeado",                         nl: "Geplande dispatch",                 fr: "Dispatch planifié",                   it: "Dispatch pianificato",                  es: "Despacho planificado",                  pl: "Zaplanowany dispatch",                     uk: "Запланована диспетчеризація",            "zh-cn": "计划调度" },
+	dispatchStart:            { en: "Start",                                     de: "Beginn",                                          ru: "Начало",                                  pt: "Início",                                    nl: "Begin",                             fr: "Début",                               it: "Inizio",                                es: "Inicio",                                pl: "Początek",                                 uk: "Початок",                                "zh-cn": "开始" },
+	dispatchEnd:              { en: "End",                                       de: "Ende",                                            ru: "Конец",                                   pt: "Fim",                                       nl: "Einde",                             fr: "Fin",                                 it: "Fine",                                  es: "Fin",                                   pl: "Koniec",                                   uk: "Кінець",                                 "zh-cn": "结束" },
+	plannedKwh:               { en: "Planned energy",                            de: "Geplante Energie",                                ru: "Запланированная энергия",                 pt: "Energia planeada",                          nl: "Geplande energie",                  fr: "Énergie planifiée",                   it: "Energia pianificata",                   es: "Energía planificada",                   pl: "Zaplanowana energia",                      uk: "Запланована енергія",                    "zh-cn": "计划电量" },
+	dispatchSource:           { en: "Source",                                    de: "Quelle",                                          ru: "Источник",                                pt: "Origem",                                    nl: "Bron",                              fr: "Source",                              it: "Origine",                               es: "Origen",                                pl: "Źródło",                                   uk: "Джерело",                                "zh-cn": "来源" },
+	dispatchLocation:         { en: "Location",                                  de: "Ort",                                             ru: "Местоположение",                          pt: "Local",                                     nl: "Locatie",                           fr: "Lieu",                                it: "Luogo",                                 es: "Ubicación",                             pl: "Lokalizacja",                              uk: "Місце",                                  "zh-cn": "位置" },
+	currentPriceChannel:      { en: "Current price",                             de: "Aktueller Preis",                                 ru: "Текущая цена",                            pt: "Preço atual",                               nl: "Huidige prijs",                     fr: "Prix actuel",                         it: "Prezzo attuale",                        es: "Precio actual",                         pl: "Aktualna cena",                            uk: "Поточна ціна",                           "zh-cn": "当前价格" },
+	nextPriceChannel:         { en: "Next price change",                         de: "Nächster Preiswechsel",                           ru: "Следующее изменение цены",                pt: "Próxima mudança de preço",                  nl: "Volgende prijswijziging",           fr: "Prochain changement de prix",         it: "Prossimo cambio di prezzo",             es: "Próximo cambio de precio",              pl: "Następna zmiana ceny",                     uk: "Наступна зміна ціни",                    "zh-cn": "下次价格变化" },
+	nextPriceChangeAt:        { en: "Next price change at",                      de: "Nächster Preiswechsel um",                        ru: "Время следующего изменения цены",         pt: "Próxima mudança de preço às",               nl: "Volgende prijswijziging om",        fr: "Prochain changement de prix à",       it: "Prossimo cambio di prezzo alle",        es: "Próximo cambio de precio a las",        pl: "Następna zmiana ceny o",                   uk: "Час наступної зміни ціни",               "zh-cn": "下次价格变化时间" },
+	priceTimeline:            { en: "Price timeline (JSON)",                     de: "Preisverlauf (JSON)",                             ru: "Временная шкала цен (JSON)",              pt: "Linha temporal de preços (JSON)",           nl: "Prijsverloop (JSON)",               fr: "Chronologie des prix (JSON)",         it: "Andamento dei prezzi (JSON)",           es: "Cronología de precios (JSON)",          pl: "Oś czasu cen (JSON)",                      uk: "Часова шкала цін (JSON)",                "zh-cn": "价格时间线 (JSON)" },
+	costsChannel:             { en: "Electricity Cost",                          de: "Stromkosten",                                     ru: "Стоимость электроэнергии",                pt: "Custo de eletricidade",                     nl: "Stroomkosten",                      fr: "Coût de l'électricité",               it: "Costo dell'elettricità",                es: "Coste de electricidad",                 pl: "Koszt energii",                            uk: "Вартість електроенергії",                "zh-cn": "电费" },
+	statsYesterday:           { en: "Yesterday",                                 de: "Gestern",                                         ru: "Вчера",                                   pt: "Ontem",                                     nl: "Gisteren",                          fr: "Hier",                                it: "Ieri",                                  es: "Ayer",                                  pl: "Wczoraj",                                  uk: "Вчора",                                  "zh-cn": "昨天" },
+	electricityCost:          { en: "Cost (EUR)",                                de: "Kosten (EUR)",                                    ru: "Стоимость (EUR)",                         pt: "Custo (EUR)",                               nl: "Kosten (EUR)",                      fr: "Coût (EUR)",                          it: "Costo (EUR)",                           es: "Coste (EUR)",                           pl: "Koszt (EUR)",                              uk: "Вартість (EUR)",                         "zh-cn": "费用 (EUR)" },
+	gridImport:               { en: "Grid Import (kWh)",                         de: "Netzbezug (kWh)",                                 ru: "Потребление из сети (кВт·ч)",             pt: "Consumo da rede (kWh)",                     nl: "Netafname (kWh)",                   fr: "Soutirage du réseau (kWh)",           it: "Prelievo dalla rete (kWh)",             es: "Consumo de la red (kWh)",               pl: "Pobór z sieci (kWh)",                      uk: "Споживання з мережі (кВт·год)",          "zh-cn": "电网取电 (kWh)" },
+	averageRatePaid:          { en: "Average Rate Paid",                         de: "Durchschnittlich bezahlter Preis",                ru: "Средняя оплаченная цена",                 pt: "Preço médio pago",                          nl: "Gemiddeld betaald tarief",          fr: "Prix moyen payé",                     it: "Prezzo medio pagato",                   es: "Precio medio pagado",                   pl: "Średnia zapłacona stawka",                 uk: "Середня сплачена ціна",                  "zh-cn": "平均支付电价" },
 };
 
+// Days of the vehicle charge schedule, config keys <day>TargetSoc / <day>TargetTime
+const SCHEDULE_DAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+// Weekday/weekend settings of versions before the per-day schedule, with their former defaults
+const LEGACY_SCHEDULE = {
+	weekday: { soc: 80, time: "07:00" },
+	weekend: { soc: 90, time: "09:00" },
+};
+
+// Mirrored device preference states that are sent back to the API when written
+const DEVICE_PREFERENCE_FIELDS = ["mode", "unit", "schedules"];
+
+// Scalar preference states of charging devices, written to every entry of the preference schedules
+const DEVICE_SCHEDULE_FIELDS = ["targetSoc", "readyByTime"];
+
+// Type fragment fields of the device profiles
+/** @type {import("./lib/fieldSchema").FieldSchema} */
+const DEVICE_MAKE = { type: "string", role: "text" };
+/** @type {import("./lib/fieldSchema").FieldSchema} */
+const DEVICE_MODEL = { type: "string", role: "text" };
+
+/**
+ * Control and state set of a SmartFlex device type
+ * @typedef {Object} DeviceProfile
+ * @property {string} kind - Device kind shown in devices.<deviceId>.kind
+ * @property {string[]} controls - Supported controls: suspend (writable status.isSuspended), boost
+ *   (control.boostCharge) and schedule (charge schedule, preferences.targetSoc|readyByTime); empty for read-only types
+ * @property {Object<string, import("./lib/fieldSchema").FieldSchema>} fields - Fields of the type
+ *   fragment by path below the device, written as typed states instead of through the generic mirror
+ */
+
+// Device profiles, looked up by __typename, then by deviceType
+/** @type {Object<string, DeviceProfile>} */
+const DEVICE_PROFILES = {
+	SmartFlexVehicle: {
+		kind: "vehicle",
+		controls: ["suspend", "boost", "schedule"],
+		fields: {
+			"vehicleVariant.model": DEVICE_MODEL,
+			"vehicleVariant.batterySize": { type: "number", role: "value", unit: "kWh" },
+		},
+	},
+	SmartFlexChargePoint: {
+		kind: "chargePoint",
+		controls: ["suspend", "boost", "schedule"],
+		fields: {
+			make: DEVICE_MAKE,
+			"chargePointVariant.model": DEVICE_MODEL,
+			"chargePointVariant.powerInKw": { type: "number", role: "value.power", unit: "kW" },
+		},
+	},
+	SmartFlexHeatPump: { kind: "heatPump", controls: ["suspend"], fields: { make: DEVICE_MAKE, model: DEVICE_MODEL } },
+	// Batteries and inverters are reported for information only, the API offers no control for them
+	SmartFlexBattery: { kind: "battery", controls: [], fields: { make: DEVICE_MAKE, model: DEVICE_MODEL } },
+	SmartFlexInverter: { kind: "inverter", controls: [], fields: { make: DEVICE_MAKE, model: DEVICE_MODEL } },
+};
+const DEVICE_TYPE_PROFILES = {
+	ELECTRIC_VEHICLES: DEVICE_PROFILES.SmartFlexVehicle,
+	CHARGE_POINTS: DEVICE_PROFILES.SmartFlexChargePoint,
+	HEAT_PUMPS: DEVICE_PROFILES.SmartFlexHeatPump,
+	BATTERIES: DEVICE_PROFILES.SmartFlexBattery,
+	INVERTERS: DEVICE_PROFILES.SmartFlexInverter,
+};
+
+/**
+ * Runtime data of a polled account
+ * @typedef {Object} AccountContext
+ * @property {string} number - Account number
+ * @property {string} path - Full object ID of the account subtree
+ * @property {import("./lib/dispatches").Dispatch[]} plannedDispatches - Normalized planned dispatches used for cheap phase checking
+ * @property {number|null} plannedDispatchSlots - Number of dispatches.planned.<n> channels written last, null before the first update
+ * @property {import("./lib/tariff").TariffSlot[]} tariffSlots - Slots of the active agreement of the planning MaLo
+ * @property {NodeJS.Timeout|null} priceTimer - Timer updating the current price at the next slot boundary
+ * @property {Object|null} accountData - Last processed account section
+ * @property {Array|null} devices - Last processed devices section
+ * @property {Object|null} dispatches - Last processed dispatches section
+ * @property {boolean} chargeScheduleStates - Whether the charge schedule states have been created
+ * @property {boolean} deviceObjectsMigrated - Whether index-based device objects have been checked for migration
+ * @property {DispatchArchive|null} dispatchArchive - Archive of completed dispatches, loaded with the first dispatches
+ */
+
 // Load your modules here, e.g.:
 // const fs = require("fs");
 
@@ -56,8 +212,11 @@ class Calamari extends utils.Adapter {
 
 		this.octopusGermany = new OctopusGermany(this);
 
-		// Store for planned dispatches
-		this.plannedDispatches = [];
+		// Per-account runtime data (object path, planned dispatches), keyed by account number
+		this.accounts = new Map();
+
+		// Meters that accept reading submissions, keyed by the object ID of their MaLo
+		this.meters = new Map();
 
 		// AI Decision Engine (initialized in onReady if enabled)
 		this.aiEngine = null;
@@ -65,9 +224,22 @@ class Calamari extends utils.Adapter {
 		// Smart Charging Planner (initialized in onReady if enabled)
 		this.smartChargingPlanner = null;
 
+		// Smart meter consumption (hourly)
+		this.consumptionInterval = null;
+
+		// Electricity cost from grid import and tariff (initialized in onReady if enabled)
+		this.costTracker = null;
+		this.costInterval = null;
+
 		// Charging monitoring
 		this.chargingMonitoringInterval = null;
 		this.lastMonitoringNotification = null;
+
+		// Objects of the mirrored subtrees the API no longer reports (initialized in onReady if enabled)
+		this.staleObjects = null;
+
+		// Mirrored states whose common attributes have been updated from the field schema in this run
+		this.schemaObjects = new Set();
 	}
 
 	/**
@@ -77,210 +249,1798 @@ class Calamari extends utils.Adapter {
 		// Initialize your adapter here
 		// The adapters config (in the instance object everything under the attribute "native") is accessible via
 		// this.config:
-		//this.log.info("Octopus Server: " + this.config.server);
 		//this.log.info("Octopus E-Mail: " + this.config.email);
 		//this.log.info("Octopus Password: " + this.config.password);
 
-		// OctopusGermany initialize
-		this.setState("info.connection", false, true);
-		this.octopusGermany.initialize(this.config.email, this.config.password);
+		// OctopusGermany initialize
+		this.setState("info.connection", false, true);
+		this.octopusGermany.initialize(this.config.email, this.config.password, this.config.server, {
+			tokenStore: {
+				load: () => this.loadToken(),
+				save: (data) => this.saveToken(data),
+			},
+			onApiError: (error) => this.setApiErrorStates(error),
+			fixtures: this.getFixtureOptions(),
+		});
+
+		// Reuse the token of the last run while it is valid instead of logging in again
+		await this.octopusGermany.restoreToken();
+
+		// Login is async, must await it
+		const loginSuccess = await this.octopusGermany.login();
+		if (loginSuccess) {
+			// Use the configured account list, or auto-discover all accounts of this login
+			const accountNumbers = await this.resolveAccountNumbers();
+			if (!accountNumbers) {
+				return;
+			}
+
+			// Delete mirrored objects, or mark them unavailable, once they are missing for the grace period
+			if (this.config.staleObjectMode) {
+				this.staleObjects = new StaleObjectTracker(
+					this,
+					this.config.staleObjectMode,
+					this.config.staleObjectGraceHours,
+				);
+			}
+
+			for (const accountNumber of accountNumbers) {
+				this.accounts.set(accountNumber, {
+					number: accountNumber,
+					path: `${this.name}.${this.instance}.accounts.${accountNumber}`,
+					plannedDispatches: [],
+					plannedDispatchSlots: null,
+					tariffSlots: [],
+					priceTimer: null,
+					accountData: null,
+					devices: null,
+					dispatches: null,
+					chargeScheduleStates: false,
+					deviceObjectsMigrated: false,
+					dispatchArchive: null,
+				});
+				await this.createAccountObjects(accountNumber);
+			}
+
+			// AI Mode, Smart Charging Planner and charging monitoring work on a single account
+			const planningAccount = (this.config.planningAccount || "").trim();
+			if (planningAccount && !this.accounts.has(planningAccount)) {
+				this.log.warn(`Planning account ${planningAccount} is not in use, falling back to ${accountNumbers[0]}`);
+			}
+			this.config.planningAccount = this.accounts.has(planningAccount) ? planningAccount : accountNumbers[0];
+			this.log.info(`Using ${accountNumbers.length} account(s), planning account: ${this.config.planningAccount}`);
+
+			// Objects of the single-account layout move to the planning account before the first poll
+			const legacyAccount = this.accounts.get(this.config.planningAccount);
+			if (legacyAccount) {
+				await this.migrateLegacyObjects(legacyAccount);
+			}
+
+			await this.fetchDataFromAPI();
+
+			// Send the configured charge schedule to the devices if enabled
+			if (this.config.enableChargingPreferences) {
+				const schedules = this.getConfiguredChargeSchedules();
+				for (const account of this.accounts.values()) {
+					this.log.info(`Setting vehicle charge schedule for account ${account.number}...`);
+					if (await this.applyChargeSchedules(account, schedules)) {
+						this.log.info(`Vehicle charge schedule set successfully for account ${account.number}`);
+					} else {
+						this.log.warn(`Failed to set vehicle charge schedule for account ${account.number}`);
+					}
+				}
+			}
+
+			// Create cheap phase states
+			for (const account of this.accounts.values()) {
+				await this.createCheapPhaseStates(account);
+			}
+
+			// Start cheap phase checker (every 60 seconds)
+			this.phaseCheckInterval = setInterval(() => {
+				this.checkCheapPhase();
+			}, 60000);
+
+			// Initial check
+			await this.checkCheapPhase();
+
+			// Start smart meter consumption polling (readings arrive with a delay, hourly is enough)
+			if (this.config.enableConsumption) {
+				await this.updateConsumption();
+				this.consumptionInterval = setInterval(() => {
+					this.updateConsumption();
+				}, 60 * 60 * 1000);
+			}
+
+			// Start cost tracking (history values are aggregated to 15 minutes)
+			if (this.config.enableCostTracking) {
+				const costFile = path.join(
+					utils.getAbsoluteInstanceDataDir(this),
+					`costs-${this.config.planningAccount.replace(this.FORBIDDEN_CHARS, "_")}.json`,
+				);
+				this.costTracker = new CostTracker(this, this.config, costFile);
+				await this.costTracker.load();
+				await this.updateCosts();
+				this.costInterval = setInterval(() => {
+					this.updateCosts();
+				}, 15 * 60 * 1000);
+			}
+
+			// Initialize AI Mode if enabled
+			if (this.config.enableAiMode) {
+				this.log.info("AI Mode is enabled, initializing AI Decision Engine...");
+				try {
+					this.aiEngine = new AIDecisionEngine(this, this.config);
+					await this.aiEngine.initialize();
+					this.log.info("AI Decision Engine initialized successfully");
+
+					// Create trigger state for manual AI decision
+					await this.setObjectNotExistsAsync("aiMode.triggerDecision", {
+						type: "state",
+						common: {
+							name: N.triggerAiDecision,
+							type: "boolean",
+							role: "button",
+							read: true,
+							write: true,
+						},
+						native: {},
+					});
+					await this.setStateAsync("aiMode.triggerDecision", false, true);
+
+					// Subscribe to trigger state
+					this.subscribeStates("aiMode.triggerDecision");
+				} catch (error) {
+					this.log.error(`Failed to initialize AI Decision Engine: ${error.message}`);
+					this.log.warn("Continuing without AI Mode");
+				}
+			} else {
+				this.log.debug("AI Mode is disabled");
+			}
+
+			// Starte die zyklische Abfrage - each tick only re-queries sections whose cache TTL has passed
+			this.pollInterval = setInterval(() => {
+				this.fetchDataFromAPI();
+			}, this.config.pollInterval * 1000);
+
+			// Initialize Smart Charging Planner if enabled
+			if (this.config.enableSmartCharging) {
+				this.log.info("Smart Charging Planner is enabled, initializing...");
+				try {
+					this.smartChargingPlanner = new SmartChargingPlanner(this, this.config);
+					await this.smartChargingPlanner.initialize();
+					this.subscribeStates("smartCharging.triggerCalculation");
+					this.log.info("Smart Charging Planner initialized successfully");
+				} catch (error) {
+					this.log.error(`Failed to initialize Smart Charging Planner: ${error.message}`);
+					this.log.warn("Continuing without Smart Charging Planner");
+				}
+			} else {
+				this.log.debug("Smart Charging Planner is disabled");
+			}
+
+			// Initialize charging monitoring if enabled
+			if (this.config.enableChargingMonitoring) {
+				this.log.info("Smart Charging Monitoring is enabled");
+				// Start monitoring interval - check every 30 minutes
+				this.chargingMonitoringInterval = setInterval(() => {
+					this.checkChargingStatus();
+				}, 30 * 60 * 1000); // 30 minutes
+
+				// Initial check after 1 minute
+				setTimeout(() => {
+					this.checkChargingStatus();
+				}, 60000);
+			}
+		} else {
+			this.setState("info.connection", false, true);
+			this.log.error("Login not possible - check credentials");
+			this.terminate("No Login");
+		}
+	}
+
+	/**
+	 * Load the persisted Kraken token from the encrypted session state
+	 * @returns {Promise<object|null>} Stored token data or null
+	 */
+	async loadToken() {
+		const state = await this.getStateAsync("info.session");
+		if (!state || !state.val) {
+			return null;
+		}
+		try {
+			return JSON.parse(this.decrypt(String(state.val)));
+		} catch (error) {
+			this.log.warn(`Ignoring unreadable persisted token: ${error.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Persist the Kraken token encrypted in the session state
+	 * @param {object} data - Token data
+	 */
+	async saveToken(data) {
+		await this.setStateAsync("info.session", this.encrypt(JSON.stringify(data)), true);
+	}
+
+	/**
+	 * Fixture mode of the API client from the developer settings
+	 * @returns {{mode: string, path: string}|undefined} Fixture options, undefined for live API access
+	 */
+	getFixtureOptions() {
+		const mode = this.config.fixtureMode;
+		if (mode !== "replay" && mode !== "record") {
+			return undefined;
+		}
+		const directory = (this.config.fixturePath || "").trim();
+		return {
+			mode,
+			path: directory || path.join(utils.getAbsoluteInstanceDataDir(this), "fixtures"),
+		};
+	}
+
+	/**
+	 * Mirror the last failed API request of the client into the info.lastApiError states
+	 * @param {import("./lib/krakenErrors").KrakenError} error - Typed error reported by the client
+	 */
+	setApiErrorStates(error) {
+		this.log.debug(`API error in ${error.operation}: ${error.message} (code: ${error.code})`);
+		this.setState("info.lastApiError.code", String(error.code || ""), true);
+		this.setState("info.lastApiError.message", error.message || "", true);
+		this.setState("info.lastApiError.operation", error.operation || "", true);
+		this.setState("info.lastApiError.timestamp", Date.now(), true);
+	}
+
+	/**
+	 * Determine the account numbers to poll: the configured comma-separated list,
+	 * or all accounts of this login if none is configured.
+	 * Terminates the adapter if no account can be determined.
+	 * @returns {Promise<string[]|null>} Account numbers or null on failure
+	 */
+	async resolveAccountNumbers() {
+		const configured = (this.config.account || "")
+			.split(",")
+			.map((number) => number.trim())
+			.filter((number) => number !== "");
+
+		if (configured.length > 0) {
+			return [...new Set(configured)];
+		}
+
+		this.log.info("No account number configured, attempting auto-discovery...");
+		try {
+			const accounts = await this.octopusGermany.accounts();
+			if (accounts && accounts.length > 0) {
+				this.log.info(`Auto-discovered account(s): ${accounts.join(", ")}`);
+				return accounts;
+			}
+			this.log.error("No accounts found for this user");
+			this.terminate("No Account Found");
+			return null;
+		} catch (error) {
+			this.log.error(`Failed to auto-discover account: ${error.message}`);
+			this.terminate("Account Discovery Failed");
+			return null;
+		}
+	}
+
+	/**
+	 * Create the channel objects for an account subtree
+	 * @param {string} accountNumber - Account number
+	 */
+	async createAccountObjects(accountNumber) {
+		await this.setObjectNotExistsAsync(`${this.name}.${this.instance}.accounts`, {
+			type: "channel",
+			common: {
+				name: N.accountsChannel,
+			},
+			native: {},
+		});
+
+		await this.setObjectNotExistsAsync(`${this.name}.${this.instance}.accounts.${accountNumber}`, {
+			type: "channel",
+			common: {
+				name: accountNumber,
+			},
+			native: { accountNumber },
+		});
+	}
+
+	/**
+	 * Move the objects of versions before multi-account support (account, devices, dispatches and
+	 * cheap phase at the instance root) to the planning account and delete the root trees; runs once,
+	 * as nothing is written to the root trees any more. The root pricing tree is only deleted, pricing
+	 * is keyed by property and MaLo now.
+	 * @param {AccountContext} account - Account the single-account data belonged to
+	 */
+	async migrateLegacyObjects(account) {
+		for (const root of ["account", "devices", "plannedDispatches", "completedDispatches", "cheapPhase", "pricing"]) {
+			const oldPath = `${this.name}.${this.instance}.${root}`;
+			if (!(await this.getForeignObjectAsync(oldPath))) {
+				continue;
+			}
+			if (root !== "pricing") {
+				this.log.info(`Migrating ${oldPath} -> ${account.path}.${root}, update scripts and visualizations using the old IDs`);
+				await this.copyStateObjects(oldPath, `${account.path}.${root}`);
+			}
+			this.log.info(`Removing legacy objects ${oldPath}`);
+			await this.delForeignObjectAsync(oldPath, { recursive: true });
+		}
+	}
+
+	/**
+	 * Fetch and mirror the data of all configured accounts
+	 */
+	async fetchDataFromAPI() {
+		let anySuccess = false;
+
+		for (const account of this.accounts.values()) {
+			if (await this.fetchAccountData(account)) {
+				anySuccess = true;
+			}
+		}
+
+		this.setState("info.connection", anySuccess, true);
+		if (anySuccess) {
+			this.setState("info.api.lastSuccessfulPoll", Date.now(), true);
+		}
+		this.setApiHealthStates();
+	}
+
+	/**
+	 * Mirror the health figures of the API client into the info.api states
+	 */
+	setApiHealthStates() {
+		const health = this.octopusGermany.getHealth();
+		this.setState("info.api.requestCount", health.requestCount, true);
+		this.setState("info.api.failureCount", health.failureCount, true);
+		this.setState("info.api.rateLimitHits", health.rateLimitHits, true);
+		if (health.averageLatency !== null) {
+			this.setState("info.api.averageLatency", health.averageLatency, true);
+		}
+		if (health.lastLatency !== null) {
+			this.setState("info.api.lastLatency", health.lastLatency, true);
+		}
+		if (health.tokenExpiry !== null) {
+			this.setState("info.api.tokenExpiry", health.tokenExpiry, true);
+		}
+	}
+
+	/**
+	 * Refresh the data sections of a single account and mirror changed sections under its account subtree.
+	 * Each section comes from the client cache and is only queried again once its TTL has passed
+	 * (account 1 h, devices 5 min, dispatches 1 min); the first poll fetches everything in one request.
+	 * @param {AccountContext} account - Account runtime data
+	 * @returns {Promise<boolean>} True if data of the account is available
+	 */
+	async fetchAccountData(account) {
+		try {
+			if (!account.accountData && !(await this.octopusGermany.fetchAllData(account.number))) {
+				this.log.error(`Failed to fetch data from API for account ${account.number} - no data returned`);
+				return false;
+			}
+
+			const accountData = await this.octopusGermany.fetchAccount(account.number);
+			const devices = await this.octopusGermany.fetchDevices(account.number);
+			const dispatches = await this.octopusGermany.fetchDispatches(account.number);
+
+			// Cached sections are returned as the same object, so only new data is processed
+			if (accountData && accountData !== account.accountData) {
+				this.log.debug(`Fetched account data for account ${account.number}: ${JSON.stringify(accountData)}`);
+				account.accountData = accountData;
+				await this.createDataPointsFromJson.call(this, accountData, `${account.path}.account`);
+				// Process pricing information
+				await this.processPricingData(accountData, account);
+				// Track the active agreement of every MaLo
+				await this.processContracts(account, accountData);
+				// Current rate of the active agreement, updated at every slot boundary
+				await this.updateCurrentPrice(account);
+				// Ledger balances in EUR with low-balance alert
+				await this.processLedgers(account, accountData);
+				// Register meters for reading submission
+				await this.createMeterStates(account, accountData);
+				await this.staleObjects?.sweep(`${account.path}.account`);
+			}
+
+			if (devices && devices !== account.devices) {
+				this.log.debug(`Fetched devices for account ${account.number}: ${JSON.stringify(devices)}`);
+				account.devices = devices;
+				// Devices are keyed by their Kraken ID, so reordering by the API does not move states
+				await this.createDeviceChannels(devices, account);
+				await this.createDataPointsFromJson.call(this, this.getDevicesById(devices), `${account.path}.devices`);
+				// Process device alerts
+				await this.processDeviceAlerts(devices, account);
+				// Create control states for SmartFlex devices
+				await this.createDeviceControlStates(devices, account);
+				// Subscribe to device states (only done once per device in subscribeDeviceStates)
+				this.subscribeDeviceStates(devices, account);
+				// Reflect the schedule reported by the API in the writable schedule states
+				await this.updateChargeScheduleStates(account, devices);
+				await this.staleObjects?.sweep(`${account.path}.devices`);
+			}
+
+			if (dispatches && dispatches !== account.dispatches) {
+				this.log.debug(`Fetched dispatches for account ${account.number}: ${JSON.stringify(dispatches)}`);
+				account.dispatches = dispatches;
+				await this.createDataPointsFromJson.call(this, dispatches.plannedDispatches, `${account.path}.plannedDispatches`);
+				await this.createDataPointsFromJson.call(
+					this,
+					dispatches.completedDispatches,
+					`${account.path}.completedDispatches`,
+				);
+				await this.staleObjects?.sweep(`${account.path}.plannedDispatches`);
+				await this.staleObjects?.sweep(`${account.path}.completedDispatches`);
+				// Keep completed dispatches beyond the API window and update the statistics
+				await this.updateDispatchArchive(account, dispatches.completedDispatches);
+				// Parse planned dispatches once for the dispatch states, cheap phase checking and the AI engine
+				account.plannedDispatches = normalizeDispatches(dispatches.plannedDispatches);
+				await this.updatePlannedDispatchStates(account);
+				await this.updatePriceTimeline(account);
+				// Trigger immediate cheap phase check after updating dispatches
+				await this.checkCheapPhase(account);
+			}
+
+			return Boolean(accountData || devices || dispatches);
+		} catch (error) {
+			this.log.error(`Error fetching data from API for account ${account.number}: ${error.message}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Add completed dispatches to the archive of an account and publish the statistics
+	 * of today, this week (from Monday) and this month
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {Array} completedDispatches - Completed dispatches from the API
+	 */
+	async updateDispatchArchive(account, completedDispatches) {
+		if (!account.dispatchArchive) {
+			const file = path.join(
+				utils.getAbsoluteInstanceDataDir(this),
+				`dispatches-${account.number.replace(this.FORBIDDEN_CHARS, "_")}.json`,
+			);
+			account.dispatchArchive = new DispatchArchive(this, file);
+			await account.dispatchArchive.load();
+			await this.createDispatchStatsStates(account);
+		}
+
+		const added = account.dispatchArchive.add(completedDispatches);
+		if (added > 0) {
+			this.log.debug(`Archived or corrected ${added} completed dispatches of account ${account.number}`);
+			await account.dispatchArchive.save();
+		}
+
+		const today = new Date();
+		today.setHours(0, 0, 0, 0);
+		const week = new Date(today);
+		week.setDate(week.getDate() - ((week.getDay() + 6) % 7));
+		const month = new Date(today.getFullYear(), today.getMonth(), 1);
+
+		const periods = { today, week, month };
+		for (const [period, since] of Object.entries(periods)) {
+			const stats = account.dispatchArchive.stats(since);
+			const basePath = `${account.path}.dispatchStats.${period}`;
+			await this.setStateAsync(`${basePath}.count`, stats.count, true);
+			await this.setStateAsync(`${basePath}.kwh`, stats.kwh, true);
+			await this.setStateAsync(`${basePath}.minutes`, stats.minutes, true);
+		}
+	}
+
+	/**
+	 * Write the planned dispatches of an account as dispatches.planned.<n>.* states, with count
+	 * and the normalized JSON (schema: Dispatch in lib/dispatches.js); slots beyond the count are removed
+	 * @param {AccountContext} account - Account runtime data
+	 */
+	async updatePlannedDispatchStates(account) {
+		const basePath = `${account.path}.dispatches.planned`;
+		if (account.plannedDispatchSlots === null) {
+			await this.createPlannedDispatchStates(account);
+			const countState = await this.getStateAsync(`${basePath}.count`);
+			account.plannedDispatchSlots = countState && typeof countState.val === "number" ? countState.val : 0;
+		}
+
+		const dispatches = account.plannedDispatches;
+		for (const [index, dispatch] of dispatches.entries()) {
+			const slotPath = `${basePath}.${index}`;
+			if (index >= account.plannedDispatchSlots) {
+				await this.createPlannedDispatchSlot(slotPath, index);
+			}
+			await this.setStateAsync(`${slotPath}.start`, Date.parse(dispatch.start), true);
+			await this.setStateAsync(`${slotPath}.end`, Date.parse(dispatch.end), true);
+			await this.setStateAsync(`${slotPath}.kwh`, dispatch.kwh, true);
+			await this.setStateAsync(`${slotPath}.source`, dispatch.source || "", true);
+			await this.setStateAsync(`${slotPath}.location`, dispatch.location || "", true);
+		}
+
+		for (let index = dispatches.length; index < account.plannedDispatchSlots; index++) {
+			await this.delObjectAsync(`${basePath}.${index}`, { recursive: true });
+		}
+		account.plannedDispatchSlots = dispatches.length;
+
+		await this.setStateAsync(`${basePath}.count`, dispatches.length, true);
+		await this.setStateAsync(`${basePath}.json`, JSON.stringify(dispatches), true);
+	}
+
+	/**
+	 * Create the planned dispatch channels and the count and JSON states of an account
+	 * @param {AccountContext} account - Account runtime data
+	 */
+	async createPlannedDispatchStates(account) {
+		const basePath = `${account.path}.dispatches`;
+		await this.setObjectNotExistsAsync(basePath, {
+			type: "channel",
+			common: { name: N.dispatchesChannel },
+			native: {},
+		});
+		await this.setObjectNotExistsAsync(`${basePath}.planned`, {
+			type: "channel",
+			common: { name: N.plannedChannel },
+			native: {},
+		});
+
+		await this.setObjectNotExistsAsync(`${basePath}.planned.count`, {
+			type: "state",
+			common: {
+				name: N.plannedCount,
+				type: "number",
+				role: "value",
+				read: true,
+				write: false,
+				def: 0,
+			},
+			native: {},
+		});
+
+		await this.setObjectNotExistsAsync(`${basePath}.planned.json`, {
+			type: "state",
+			common: {
+				name: N.plannedJson,
+				type: "string",
+				role: "json",
+				read: true,
+				write: false,
+				def: "[]",
+			},
+			native: {},
+		});
+	}
+
+	/**
+	 * Create the states of one planned dispatch
+	 * @param {string} slotPath - Object ID of the dispatch channel
+	 * @param {number} index - Position of the dispatch, ordered by start
+	 */
+	async createPlannedDispatchSlot(slotPath, index) {
+		await this.setObjectNotExistsAsync(slotPath, {
+			type: "channel",
+			common: {
+				name: /** @type {ioBroker.Translated} */ (
+					Object.fromEntries(Object.entries(N.plannedSlot).map(([lang, text]) => [lang, `${text} ${index + 1}`]))
+				),
+			},
+			native: {},
+		});
+
+		const states = [
+			{ id: "start", name: N.dispatchStart, type: "number", role: "date.start" },
+			{ id: "end", name: N.dispatchEnd, type: "number", role: "date.end" },
+			{ id: "kwh", name: N.plannedKwh, type: "number", role: "value.energy", unit: "kWh" },
+			{ id: "source", name: N.dispatchSource, type: "string", role: "text" },
+			{ id: "location", name: N.dispatchLocation, type: "string", role: "text" },
+		];
+		for (const state of states) {
+			const common = {
+				name: state.name,
+				type: /** @type {ioBroker.CommonType} */ (state.type),
+				role: state.role,
+				read: true,
+				write: false,
+			};
+			if (state.unit) {
+				common.unit = state.unit;
+			}
+			await this.setObjectNotExistsAsync(`${slotPath}.${state.id}`, {
+				type: "state",
+				common,
+				native: {},
+			});
+		}
+	}
+
+	/**
+	 * Create the dispatch statistics states of an account
+	 * @param {AccountContext} account - Account runtime data
+	 */
+	async createDispatchStatsStates(account) {
+		const basePath = `${account.path}.dispatchStats`;
+		await this.setObjectNotExistsAsync(basePath, {
+			type: "channel",
+			common: { name: N.dispatchStatsChannel },
+			native: {},
+		});
+
+		for (const [period, name] of [
+			["today", N.statsToday],
+			["week", N.statsWeek],
+			["month", N.statsMonth],
+		]) {
+			await this.setObjectNotExistsAsync(`${basePath}.${period}`, {
+				type: "channel",
+				common: { name },
+				native: {},
+			});
+
+			await this.setObjectNotExistsAsync(`${basePath}.${period}.count`, {
+				type: "state",
+				common: {
+					name: N.dispatchCount,
+					type: "number",
+					role: "value",
+					read: true,
+					write: false,
+				},
+				native: {},
+			});
+
+			await this.setObjectNotExistsAsync(`${basePath}.${period}.kwh`, {
+				type: "state",
+				common: {
+					name: N.dispatchKwh,
+					type: "number",
+					role: "value.energy",
+					read: true,
+					write: false,
+					unit: "kWh",
+				},
+				native: {},
+			});
+
+			await this.setObjectNotExistsAsync(`${basePath}.${period}.minutes`, {
+				type: "state",
+				common: {
+					name: N.dispatchMinutes,
+					type: "number",
+					role: "value",
+					read: true,
+					write: false,
+					unit: "min",
+				},
+				native: {},
+			});
+		}
+	}
+
+	/**
+	 * Create the meter reading states for all MaLos of an account and register their meters
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {Object} accountData - Account data from the API
+	 */
+	async createMeterStates(account, accountData) {
+		for (const property of accountData.allProperties || []) {
+			for (const malo of property.electricityMalos || []) {
+				if (!malo.maloNumber || !malo.meter || !malo.meter.id) {
+					continue;
+				}
+
+				const key = malo.maloNumber.replace(this.FORBIDDEN_CHARS, "_");
+				const known = this.meters.has(key);
+				this.meters.set(key, {
+					accountNumber: account.number,
+					maloNumber: malo.maloNumber,
+					meterId: malo.meter.id,
+				});
+				if (known) {
+					continue;
+				}
+
+				await this.setObjectNotExistsAsync("meter", {
+					type: "channel",
+					common: { name: N.meterChannel },
+					native: {},
+				});
+
+				await this.setObjectNotExistsAsync(`meter.${key}`, {
+					type: "channel",
+					common: { name: malo.maloNumber },
+					native: { accountNumber: account.number, maloNumber: malo.maloNumber },
+				});
+
+				await this.setObjectNotExistsAsync(`meter.${key}.submitReading`, {
+					type: "state",
+					common: {
+						name: N.submitReading,
+						type: "number",
+						role: "level",
+						read: true,
+						write: true,
+						unit: "kWh",
+					},
+					native: {},
+				});
+
+				await this.setObjectNotExistsAsync(`meter.${key}.lastSubmittedReading`, {
+					type: "state",
+					common: {
+						name: N.lastSubmittedReading,
+						type: "number",
+						role: "value",
+						read: true,
+						write: false,
+						unit: "kWh",
+					},
+					native: {},
+				});
+
+				await this.setObjectNotExistsAsync(`meter.${key}.lastSubmission`, {
+					type: "state",
+					common: {
+						name: N.lastSubmission,
+						type: "string",
+						role: "value.datetime",
+						read: true,
+						write: false,
+					},
+					native: {},
+				});
+
+				this.subscribeStates(`meter.${key}.submitReading`);
+			}
+		}
+	}
+
+	/**
+	 * Submit a meter reading through the Kraken API and record it in the meter states
+	 * @param {string} maloNumber - Market location (MaLo) number, may be omitted if only one meter is known
+	 * @param {number} value - Meter reading in kWh
+	 * @param {Date} [readAt] - Time the reading was taken, defaults to now
+	 * @returns {Promise<{success: boolean, error?: string}>} Result of the submission
+	 */
+	async submitMeterReading(maloNumber, value, readAt = new Date()) {
+		let key = maloNumber ? String(maloNumber).replace(this.FORBIDDEN_CHARS, "_") : null;
+		if (!key && this.meters.size === 1) {
+			key = this.meters.keys().next().value;
+		}
+
+		const meter = key ? this.meters.get(key) : undefined;
+		if (!meter) {
+			return { success: false, error: `Unknown MaLo number: ${maloNumber}` };
+		}
+		if (typeof value !== "number" || !isFinite(value) || value < 0) {
+			return { success: false, error: `Invalid meter reading: ${value}` };
+		}
+		if (!(readAt instanceof Date) || isNaN(readAt.getTime())) {
+			return { success: false, error: "Invalid reading time" };
+		}
+
+		this.log.info(`Submitting meter reading ${value} kWh for MaLo ${meter.maloNumber}`);
+		const success = await this.octopusGermany.submitMeterReading(
+			meter.accountNumber,
+			meter.maloNumber,
+			meter.meterId,
+			value,
+			readAt,
+		);
+
+		if (!success) {
+			return { success: false, error: "Submission rejected by the API - see adapter log" };
+		}
+
+		await this.setStateAsync(`meter.${key}.lastSubmittedReading`, value, true);
+		await this.setStateAsync(`meter.${key}.lastSubmission`, readAt.toISOString(), true);
+		return { success: true };
+	}
+
+	/**
+	 * Fetch smart meter consumption for every MaLo of every account
+	 */
+	async updateConsumption() {
+		for (const account of this.accounts.values()) {
+			const properties = (account.accountData && account.accountData.allProperties) || [];
+			for (const property of properties) {
+				for (const malo of property.electricityMalos || []) {
+					if (!malo.maloNumber) {
+						continue;
+					}
+					try {
+						await this.updateMaloConsumption(account, property.id, malo.maloNumber);
+					} catch (error) {
+						this.log.error(`Error updating consumption for MaLo ${malo.maloNumber}: ${error.message}`);
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Publish the electricity cost of the planning account for today, yesterday and the month to date
+	 * (costs.<period>.cost/kwh/averageRate). The grid import is read from the history instance and
+	 * priced with the tariff slots of the planning MaLo once per complete interval, dispatch windows
+	 * at the cheapest rate.
+	 */
+	async updateCosts() {
+		const account = this.accounts.get(this.config.planningAccount);
+		if (!account || !this.costTracker) {
+			return;
+		}
+		if (account.tariffSlots.length === 0) {
+			this.log.debug(`No tariff known for account ${account.number}, skipping cost calculation`);
+			return;
+		}
+
+		// Completed dispatches from the start of yesterday or the month, whichever is earlier
+		const now = new Date();
+		const since = new Date(now.getFullYear(), now.getMonth(), Math.min(now.getDate() - 1, 1));
+		const dispatches = [
+			...(account.dispatchArchive ? account.dispatchArchive.list(since) : []),
+			...account.plannedDispatches,
+		].sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+		let costs;
+		try {
+			costs = await this.costTracker.calculate(account.tariffSlots, dispatches, now);
+		} catch (error) {
+			this.log.warn(`Failed to calculate electricity cost from ${this.config.historyInstance}: ${error.message}`);
+			return;
+		}
+
+		await this.createCostStates(account);
+		for (const [period, cost] of Object.entries(costs)) {
+			const basePath = `${account.path}.costs.${period}`;
+			await this.setStateAsync(`${basePath}.cost`, cost.cost, true);
+			await this.setStateAsync(`${basePath}.kwh`, cost.kwh, true);
+			await this.setStateAsync(`${basePath}.averageRate`, cost.averageRate, true);
+		}
+		this.log.debug(
+			`Electricity cost of account ${account.number}: today ${costs.today.cost} €, month ${costs.month.cost} €`,
+		);
+	}
+
+	/**
+	 * Create the cost states of an account
+	 * @param {AccountContext} account - Account runtime data
+	 */
+	async createCostStates(account) {
+		const basePath = `${account.path}.costs`;
+		await this.setObjectNotExistsAsync(basePath, {
+			type: "channel",
+			common: { name: N.costsChannel },
+			native: {},
+		});
+
+		for (const [period, name] of [
+			["today", N.statsToday],
+			["yesterday", N.statsYesterday],
+			["month", N.statsMonth],
+		]) {
+			await this.setObjectNotExistsAsync(`${basePath}.${period}`, {
+				type: "channel",
+				common: { name },
+				native: {},
+			});
+
+			await this.setObjectNotExistsAsync(`${basePath}.${period}.cost`, {
+				type: "state",
+				common: {
+					name: N.electricityCost,
+					type: "number",
+					role: "value",
+					read: true,
+					write: false,
+					unit: "€",
+				},
+				native: {},
+			});
+
+			await this.setObjectNotExistsAsync(`${basePath}.${period}.kwh`, {
+				type: "state",
+				common: {
+					name: N.gridImport,
+					type: "number",
+					role: "value.energy",
+					read: true,
+					write: false,
+					unit: "kWh",
+				},
+				native: {},
+			});
+
+			await this.setObjectNotExistsAsync(`${basePath}.${period}.averageRate`, {
+				type: "state",
+				common: {
+					name: N.averageRatePaid,
+					type: "number",
+					role: "value.price",
+					read: true,
+					write: false,
+					unit: "ct/kWh",
+				},
+				native: {},
+			});
+		}
+	}
+
+	/**
+	 * Create the consumption states of a MaLo
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {string} basePath - Consumption channel of the MaLo
+	 * @param {string} maloNumber - Market location (MaLo) number
+	 */
+	async createConsumptionStates(account, basePath, maloNumber) {
+		await this.setObjectNotExistsAsync(`${account.path}.consumption`, {
+			type: "channel",
+			common: { name: N.consumptionChannel },
+			native: {},
+		});
+
+		await this.setObjectNotExistsAsync(basePath, {
+			type: "channel",
+			common: { name: maloNumber },
+			native: { maloNumber },
+		});
+
+		const stateDefinitions = {
+			yesterday:          { name: N.consumptionYesterday,   type: "number", role: "value.energy.consumed", unit: "kWh" },
+			thisMonth:          { name: N.consumptionThisMonth,   type: "number", role: "value.energy.consumed", unit: "kWh" },
+			intervalKwh:        { name: N.consumptionInterval,    type: "number", role: "value.energy.consumed", unit: "kWh" },
+			last24h:            { name: N.consumptionLast24h,     type: "string", role: "json",                  unit: null  },
+			lastUpdate:         { name: N.consumptionLastUpdate,  type: "string", role: "value.datetime",        unit: null  },
+			historyStoredUntil: { name: N.consumptionStoredUntil, type: "string", role: "value.datetime",        unit: null  },
+		};
+
+		for (const [key, def] of Object.entries(stateDefinitions)) {
+			await this.setObjectNotExistsAsync(`${basePath}.${key}`, {
+				type: "state",
+				common: {
+					name: def.name,
+					type: /** @type {ioBroker.CommonType} */ (def.type),
+					role: def.role,
+					read: true,
+					write: false,
+					...(def.unit ? { unit: def.unit } : {}),
+				},
+				native: {},
+			});
+		}
+	}
+
+	/**
+	 * Fetch daily and interval readings of a MaLo and update its consumption states
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {string} propertyId - Property ID the MaLo belongs to
+	 * @param {string} maloNumber - Market location (MaLo) number
+	 */
+	async updateMaloConsumption(account, propertyId, maloNumber) {
+		const basePath = `${account.path}.consumption.${maloNumber.replace(this.FORBIDDEN_CHARS, "_")}`;
+		await this.createConsumptionStates(account, basePath, maloNumber);
+
+		const now = new Date();
+		const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+		const startOfYesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+		const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+		const sumKwh = (readings) => Math.round(readings.reduce((sum, reading) => sum + reading.value, 0) * 1000) / 1000;
+
+		// Daily readings: enough to cover yesterday and the current month
+		const dailyStart = startOfMonth < startOfYesterday ? startOfMonth : startOfYesterday;
+		const daily = await this.octopusGermany.fetchMeasurements(propertyId, maloNumber, dailyStart, now, "DAY_INTERVAL");
+		if (daily) {
+			const yesterday = daily.filter((reading) => {
+				const start = new Date(reading.startAt);
+				return start >= startOfYesterday && start < startOfToday;
+			});
+			const thisMonth = daily.filter((reading) => new Date(reading.startAt) >= startOfMonth);
+
+			await this.setStateAsync(`${basePath}.yesterday`, sumKwh(yesterday), true);
+			await this.setStateAsync(`${basePath}.thisMonth`, sumKwh(thisMonth), true);
+		}
+
+		// Interval readings of the last 24 hours (resolution depends on the meter)
+		const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+		const intervals = await this.octopusGermany.fetchMeasurements(propertyId, maloNumber, dayAgo, now, "RAW_INTERVAL");
+		if (intervals) {
+			await this.setStateAsync(
+				`${basePath}.last24h`,
+				JSON.stringify(
+					intervals.map((reading) => ({ start: reading.startAt, end: reading.endAt, kwh: reading.value })),
+				),
+				true,
+			);
+
+			if (intervals.length > 0) {
+				const latest = intervals[intervals.length - 1];
+				await this.setStateAsync(`${basePath}.intervalKwh`, {
+					val: latest.value,
+					ts: new Date(latest.startAt).getTime(),
+					ack: true,
+				});
+			}
+
+			if (this.config.storeConsumptionHistory) {
+				await this.storeConsumptionHistory(basePath, intervals);
+			}
+		}
+
+		if (daily || intervals) {
+			await this.setStateAsync(`${basePath}.lastUpdate`, now.toISOString(), true);
+		}
+	}
+
+	/**
+	 * Write interval readings not yet stored into the history instance,
+	 * timestamped with the start of each interval
+	 * @param {string} basePath - Consumption channel of the MaLo
+	 * @param {Array<{startAt: string, value: number}>} intervals - Interval readings, sorted by start
+	 */
+	async storeConsumptionHistory(basePath, intervals) {
+		const storedState = await this.getStateAsync(`${basePath}.historyStoredUntil`);
+		const storedUntil = storedState && storedState.val ? new Date(String(storedState.val)).getTime() : 0;
+		const pending = intervals.filter((reading) => new Date(reading.startAt).getTime() > storedUntil);
+
+		if (pending.length === 0) {
+			return;
+		}
+
+		try {
+			const result = /** @type {{error?: string} | undefined} */ (
+				await this.sendToAsync(
+					this.config.historyInstance,
+					"storeState",
+					{
+						id: `${basePath}.intervalKwh`,
+						state: pending.map((reading) => ({
+							ts: new Date(reading.startAt).getTime(),
+							val: reading.value,
+							ack: true,
+						})),
+					},
+					{ timeout: 30000 },
+				)
+			);
+			if (result && result.error) {
+				throw new Error(result.error);
+			}
+
+			await this.setStateAsync(`${basePath}.historyStoredUntil`, pending[pending.length - 1].startAt, true);
+			this.log.debug(`Stored ${pending.length} consumption readings in ${this.config.historyInstance}`);
+		} catch (error) {
+			this.log.warn(`Failed to store consumption readings in ${this.config.historyInstance}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Build the per-day charge schedule from the adapter configuration
+	 * @returns {Array<{dayOfWeek: string, max: number, time: string}>} One entry per day of week
+	 */
+	getConfiguredChargeSchedules() {
+		const config = /** @type {Record<string, any>} */ (this.config);
+		return SCHEDULE_DAYS.map((day) => {
+			// Installations that have not saved the per-day settings yet only have weekdayTargetSoc etc.
+			const legacy = day === "saturday" || day === "sunday" ? "weekend" : "weekday";
+			return {
+				dayOfWeek: day.toUpperCase(),
+				max: Number(config[`${day}TargetSoc`] ?? config[`${legacy}TargetSoc`] ?? LEGACY_SCHEDULE[legacy].soc),
+				time: String(config[`${day}TargetTime`] ?? config[`${legacy}TargetTime`] ?? LEGACY_SCHEDULE[legacy].time),
+			};
+		});
+	}
+
+	/**
+	 * Object key of a device: its Kraken ID, or the position for devices without ID
+	 * @param {Object} device - Device of the devices section
+	 * @param {number} index - Position of the device in the devices section
+	 * @returns {string} Key of the device below `devices`
+	 */
+	getDeviceKey(device, index) {
+		return device.id ? String(device.id).replace(this.FORBIDDEN_CHARS, "_") : String(index);
+	}
+
+	/**
+	 * Key the devices section by device for mirroring
+	 * @param {Array} devices - Devices of the account
+	 * @returns {Object} Devices by device key
+	 */
+	getDevicesById(devices) {
+		return Object.fromEntries(
+			devices.map((device, index) => [this.getDeviceKey(device, index), this.getMirroredDeviceFields(device)]),
+		);
+	}
+
+	/**
+	 * Copy of a device without the fields written by createDeviceControlStates (status.isSuspended and
+	 * the type fields of its profile), so the generic mirror does not overwrite their typed objects
+	 * @param {Object} device - Device of the devices section
+	 * @returns {Object} Device fields for the generic mirror
+	 */
+	getMirroredDeviceFields(device) {
+		const mirrored = JSON.parse(JSON.stringify(device));
+		for (const path of ["status.isSuspended", ...Object.keys(this.getDeviceProfile(device).fields)]) {
+			const parts = path.split(".");
+			const parent = parts.slice(0, -1).reduce((obj, part) => (obj && typeof obj === "object" ? obj[part] : null), mirrored);
+			if (parent && typeof parent === "object") {
+				delete parent[parts[parts.length - 1]];
+				if (parts.length > 1 && Object.keys(parent).length === 0) {
+					delete mirrored[parts[0]];
+				}
+			}
+		}
+		return mirrored;
+	}
+
+	/**
+	 * Find a device of an account by object key, Kraken ID, name or (for messages) position
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {string|number} reference - Device key, ID, name or index
+	 * @returns {{device: Object, key: string}|null} Device and its object key
+	 */
+	findDevice(account, reference) {
+		const devices = account.devices || [];
+		const ref = String(reference);
+		let index = devices.findIndex(
+			(device, i) => this.getDeviceKey(device, i) === ref || device.id === ref || device.name === ref,
+		);
+		if (index < 0 && /^\d+$/.test(ref)) {
+			index = Number(ref);
+		}
+		const device = devices[index];
+		return device ? { device, key: this.getDeviceKey(device, index) } : null;
+	}
+
+	/**
+	 * Create the device channels named after the device, move objects of the former index-based
+	 * tree (devices.0, devices.1, ...) out of the way and maintain the device aliases
+	 * @param {Array} devices - Devices of the account
+	 * @param {AccountContext} account - Account runtime data
+	 */
+	async createDeviceChannels(devices, account) {
+		const keys = devices.map((device, index) => this.getDeviceKey(device, index));
+
+		if (!account.deviceObjectsMigrated) {
+			account.deviceObjectsMigrated = true;
+			const objects = await this.getForeignObjectsAsync(`${account.path}.devices.*`, "channel");
+			const indexPattern = new RegExp(`^${account.path.replace(/\./g, "\\.")}\\.devices\\.(\\d+)$`);
+			for (const id of Object.keys(objects || {})) {
+				const match = indexPattern.exec(id);
+				if (match && !keys.includes(match[1])) {
+					await this.migrateDeviceObjects(account, id, keys);
+					this.log.info(`Migrating device objects of account ${account.number}: removing index-based ${id}`);
+					await this.delObjectAsync(id, { recursive: true });
+				}
+			}
+		}
+
+		for (const [index, device] of devices.entries()) {
+			await this.extendObjectAsync(`${account.path}.devices.${keys[index]}`, {
+				type: "channel",
+				common: { name: device.name || keys[index] },
+				native: { id: device.id || null },
+			});
+			if (this.config.deviceAliases && device.id) {
+				await this.createDeviceAliases(account, device, keys[index]);
+			}
+		}
+	}
+
+	/**
+	 * Copy the states of an index-based device channel to the ID-keyed channel of the same device,
+	 * matched by the mirrored id state
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {string} oldPath - Full object ID of the index-based device channel
+	 * @param {string[]} keys - Object keys of the current devices
+	 */
+	async migrateDeviceObjects(account, oldPath, keys) {
+		const idState = await this.getForeignStateAsync(`${oldPath}.id`);
+		const key = idState && idState.val ? String(idState.val).replace(this.FORBIDDEN_CHARS, "_") : null;
+		if (!key || !keys.includes(key)) {
+			this.log.info(`No current device matches ${oldPath}, its objects are not migrated`);
+			return;
+		}
+
+		const newPath = `${account.path}.devices.${key}`;
+		await this.copyStateObjects(oldPath, newPath);
+		this.log.info(`Migrated device objects ${oldPath} -> ${newPath}, update scripts and visualizations using the old IDs`);
+	}
+
+	/**
+	 * Copy the objects below a subtree to another subtree: missing channels, and of every state the value,
+	 * common.custom (history settings, with the old ID as aliasId so the logged series continues) and
+	 * the rest of the object if the new one does not exist yet
+	 * @param {string} oldPath - Full object ID of the source subtree
+	 * @param {string} newPath - Full object ID of the target subtree
+	 */
+	async copyStateObjects(oldPath, newPath) {
+		const channels = await this.getForeignObjectsAsync(`${oldPath}.*`, "channel");
+		for (const [oldId, obj] of Object.entries(channels || {})) {
+			await this.setForeignObjectNotExistsAsync(`${newPath}${oldId.substring(oldPath.length)}`, {
+				type: "channel",
+				common: obj.common,
+				native: obj.native || {},
+			});
+		}
+
+		const objects = await this.getForeignObjectsAsync(`${oldPath}.*`, "state");
+		for (const [oldId, obj] of Object.entries(objects || {})) {
+			const newId = `${newPath}${oldId.substring(oldPath.length)}`;
+			const custom = obj.common.custom
+				? Object.fromEntries(
+						Object.entries(obj.common.custom).map(([instance, settings]) => [
+							instance,
+							settings && typeof settings === "object" && !settings.aliasId
+								? { ...settings, aliasId: oldId }
+								: settings,
+						]),
+					)
+				: null;
+
+			const existing = await this.getForeignObjectAsync(newId);
+			if (!existing) {
+				await this.setForeignObjectAsync(newId, {
+					type: "state",
+					common: { ...obj.common, ...(custom ? { custom } : {}) },
+					native: obj.native || {},
+				});
+			} else if (custom) {
+				await this.extendForeignObjectAsync(newId, { common: { custom } });
+			}
+
+			const state = await this.getForeignStateAsync(oldId);
+			if (state) {
+				await this.setForeignStateAsync(newId, { val: state.val, ack: true, ts: state.ts, q: state.q });
+			}
+		}
+	}
+
+	/**
+	 * Create aliases below alias.0 that address the controls of a device by account and device name
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {Object} device - Device of the devices section
+	 * @param {string} key - Object key of the device
+	 */
+	async createDeviceAliases(account, device, key) {
+		const name = String(device.name || key).replace(this.FORBIDDEN_CHARS, "_").replace(/[.\s]+/g, "_");
+		const aliasPath = `alias.0.${this.name}.${this.instance}.${account.number}.${name}`;
+		const devicePath = `${account.path}.devices.${key}`;
+
+		const aliases = [];
+		if (this.hasDeviceControl(device, "suspend")) {
+			aliases.push({ id: "isSuspended", target: `${devicePath}.status.isSuspended`, role: "switch" });
+		}
+		if (device.preferences && this.hasDeviceControl(device, "boost")) {
+			aliases.push({ id: "boostCharge", target: `${devicePath}.control.boostCharge`, role: "switch.boost" });
+		}
+		if (aliases.length === 0) {
+			return;
+		}
+
+		await this.extendForeignObjectAsync(aliasPath, {
+			type: "channel",
+			common: { name: device.name || key },
+			native: {},
+		});
+		for (const alias of aliases) {
+			await this.extendForeignObjectAsync(`${aliasPath}.${alias.id}`, {
+				type: "state",
+				common: {
+					name: `${device.name || key} ${alias.id}`,
+					type: "boolean",
+					role: alias.role,
+					read: true,
+					write: true,
+					alias: { id: alias.target },
+				},
+				native: {},
+			});
+		}
+	}
+
+	/**
+	 * Get the devices of an account that accept a charge schedule
+	 * @param {AccountContext} account - Account runtime data
+	 * @returns {Array} Charging devices reporting schedule preferences
+	 */
+	getScheduleDevices(account) {
+		return (account.devices || []).filter(
+			(device) =>
+				device.id &&
+				this.hasDeviceControl(device, "schedule") &&
+				device.preferences &&
+				Array.isArray(device.preferences.schedules),
+		);
+	}
+
+	/**
+	 * Get the control profile of a SmartFlex device from its GraphQL type or device type
+	 * @param {Object} device - Device of the devices section
+	 * @returns {DeviceProfile} Device kind, controls and type fields; unknown types can be suspended only
+	 */
+	getDeviceProfile(device) {
+		const profile = DEVICE_PROFILES[device.__typename] || DEVICE_TYPE_PROFILES[device.deviceType];
+		return profile || { kind: String(device.deviceType || "other").toLowerCase(), controls: ["suspend"], fields: {} };
+	}
+
+	/**
+	 * Whether a device supports a control
+	 * @param {Object} device - Device of the devices section
+	 * @param {string} control - suspend, boost or schedule
+	 * @returns {boolean} True if the device profile contains the control
+	 */
+	hasDeviceControl(device, control) {
+		return this.getDeviceProfile(device).controls.includes(control);
+	}
+
+	/**
+	 * Send a charge schedule to all schedule-capable devices of an account
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {Array<{dayOfWeek: string, max: number, time: string}>} schedules - One entry per day of week
+	 * @returns {Promise<boolean>} True if at least one device was updated and none failed
+	 */
+	async applyChargeSchedules(account, schedules) {
+		const devices = this.getScheduleDevices(account);
+		if (devices.length === 0) {
+			this.log.warn(`No device with charge schedule found for account ${account.number}`);
+			return false;
+		}
+
+		let success = true;
+		for (const device of devices) {
+			if (!(await this.octopusGermany.setChargeSchedules(device.id, schedules))) {
+				this.log.error(`Failed to set charge schedule for device ${device.name || device.id}`);
+				success = false;
+			}
+		}
+
+		if (success) {
+			await this.setChargeScheduleStates(account, schedules);
+		}
+		return success;
+	}
+
+	/**
+	 * Create the writable per-day charge schedule states of an account
+	 * @param {AccountContext} account - Account runtime data
+	 */
+	async createChargeScheduleStates(account) {
+		const basePath = `${account.path}.chargeSchedule`;
+
+		await this.setObjectNotExistsAsync(basePath, {
+			type: "channel",
+			common: { name: N.chargeScheduleChannel },
+			native: {},
+		});
+
+		for (const day of SCHEDULE_DAYS) {
+			await this.setObjectNotExistsAsync(`${basePath}.${day}`, {
+				type: "channel",
+				common: { name: N[day] },
+				native: { dayOfWeek: day.toUpperCase() },
+			});
+
+			await this.setObjectNotExistsAsync(`${basePath}.${day}.targetSoc`, {
+				type: "state",
+				common: {
+					name: N.scheduleTargetSoc,
+					type: "number",
+					role: "level.battery",
+					read: true,
+					write: true,
+					min: 0,
+					max: 100,
+					unit: "%",
+				},
+				native: {},
+			});
+
+			await this.setObjectNotExistsAsync(`${basePath}.${day}.targetTime`, {
+				type: "state",
+				common: {
+					name: N.scheduleTargetTime,
+					type: "string",
+					role: "text",
+					read: true,
+					write: true,
+				},
+				native: {},
+			});
+		}
+
+		this.subscribeStates(`${basePath}.*`);
+	}
+
+	/**
+	 * Write a charge schedule into the per-day states (acknowledged)
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {Array<{dayOfWeek: string, max: number, time: string}>} schedules - Schedule entries
+	 */
+	async setChargeScheduleStates(account, schedules) {
+		if (!account.chargeScheduleStates) {
+			await this.createChargeScheduleStates(account);
+			account.chargeScheduleStates = true;
+		}
+
+		for (const schedule of schedules) {
+			const day = String(schedule.dayOfWeek).toLowerCase();
+			if (!SCHEDULE_DAYS.includes(day)) {
+				continue;
+			}
+			await this.setStateAsync(`${account.path}.chargeSchedule.${day}.targetSoc`, Number(schedule.max), true);
+			await this.setStateAsync(`${account.path}.chargeSchedule.${day}.targetTime`, String(schedule.time), true);
+		}
+	}
+
+	/**
+	 * Reflect the schedule reported by the API in the per-day states
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {Array|null} devices - Devices of the account
+	 */
+	async updateChargeScheduleStates(account, devices) {
+		const device = (devices || []).find(
+			(dev) => dev.preferences && Array.isArray(dev.preferences.schedules) && dev.preferences.schedules.length > 0,
+		);
+		if (device) {
+			await this.setChargeScheduleStates(account, device.preferences.schedules);
+		}
+	}
+
+	/**
+	 * Handle a user change of a per-day schedule state and send the full week to the API
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {string} changedDay - Day of the changed state
+	 * @param {string} field - Changed field (targetSoc, targetTime)
+	 * @param {ioBroker.StateValue} value - New value
+	 */
+	async handleChargeScheduleChange(account, changedDay, field, value) {
+		const basePath = `${account.path}.chargeSchedule`;
+		const schedules = [];
+
+		for (const day of SCHEDULE_DAYS) {
+			const socState = await this.getStateAsync(`${basePath}.${day}.targetSoc`);
+			const timeState = await this.getStateAsync(`${basePath}.${day}.targetTime`);
+			const max = day === changedDay && field === "targetSoc" ? Number(value) : Number(socState?.val);
+			const time = day === changedDay && field === "targetTime" ? String(value) : String(timeState?.val ?? "");
+
+			if (!isFinite(max) || max < 0 || max > 100 || !time) {
+				this.log.error(`Invalid charge schedule for ${day}: target SOC ${max}, time "${time}"`);
+				await this.updateChargeScheduleStates(account, account.devices);
+				return;
+			}
+			schedules.push({ dayOfWeek: day.toUpperCase(), max, time });
+		}
+
+		this.log.info(`Updating charge schedule of account ${account.number} (${changedDay} ${field} = ${value})`);
+		if (!(await this.applyChargeSchedules(account, schedules))) {
+			// Roll the states back to the schedule last reported by the API
+			await this.updateChargeScheduleStates(account, account.devices);
+		}
+	}
+
+	/**
+	 * Target SoC and ready-by time of the preference schedule entry of today, shown in the scalar
+	 * preference states
+	 * @param {Object} preferences - Preferences of the device
+	 * @returns {{targetSoc: number|null, readyByTime: string|null}} Values of today
+	 */
+	getSchedulePreferenceValues(preferences) {
+		const schedules = (preferences && preferences.schedules) || [];
+		const today = SCHEDULE_DAYS[(new Date().getDay() + 6) % 7].toUpperCase();
+		const schedule = schedules.find((entry) => entry.dayOfWeek === today) || schedules[0];
+		return {
+			targetSoc: schedule && isFinite(Number(schedule.max)) ? Number(schedule.max) : null,
+			readyByTime: schedule && schedule.time ? String(schedule.time).substring(0, 5) : null,
+		};
+	}
+
+	/**
+	 * Write the scalar preference states (targetSoc, readyByTime) of a device from its preferences
+	 * @param {string} devicePath - Full object ID of the device
+	 * @param {Object} device - Device of the devices section
+	 */
+	async updateDevicePreferenceStates(devicePath, device) {
+		const values = this.getSchedulePreferenceValues(device.preferences);
+		await this.setStateAsync(`${devicePath}.preferences.targetSoc`, values.targetSoc, true);
+		await this.setStateAsync(`${devicePath}.preferences.readyByTime`, values.readyByTime, true);
+	}
+
+	/**
+	 * Handle a user change of a device preference state and send the preferences to the API.
+	 * targetSoc and readyByTime are applied to every entry of the preference schedules.
+	 * The state is acknowledged on success and rolled back to the last known value on failure.
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {string} deviceKey - Object key of the device
+	 * @param {string} field - Changed preference (mode, unit, schedules, targetSoc, readyByTime)
+	 * @param {string} id - Full state ID
+	 * @param {ioBroker.State} state - New state
+	 */
+	async handleDevicePreferenceChange(account, deviceKey, field, id, state) {
+		const { device, key } = this.findDevice(account, deviceKey) || {};
+		if (!device || !device.id || !device.preferences) {
+			this.log.warn(`Device ${deviceKey} of account ${account.number} has no preferences to change`);
+			return;
+		}
+
+		const current = device.preferences;
+		const previous =
+			field === "schedules"
+				? JSON.stringify(current.schedules || [])
+				: DEVICE_SCHEDULE_FIELDS.includes(field)
+					? this.getSchedulePreferenceValues(current)[field]
+					: current[field];
+		const preferences = {
+			mode: current.mode,
+			unit: current.unit,
+			schedules: (current.schedules || []).map((schedule) => ({
+				dayOfWeek: schedule.dayOfWeek,
+				max: schedule.max,
+				...(schedule.min !== undefined && schedule.min !== null ? { min: schedule.min } : {}),
+				time: schedule.time,
+			})),
+		};
 
-		// Login is async, must await it
-		const loginSuccess = await this.octopusGermany.login();
-		if (loginSuccess) {
-			// Auto-discover account if not configured
-			if (!this.config.account || this.config.account.trim() === "") {
-				this.log.info("No account number configured, attempting auto-discovery...");
-				try {
-					const accounts = await this.octopusGermany.accounts();
-					if (accounts && accounts.length > 0) {
-						this.config.account = accounts[0];
-						this.log.info(`Auto-discovered account: ${this.config.account}`);
-						// Save the discovered account to config
-						this.extendForeignObject(`system.adapter.${this.namespace}`, {
-							native: { account: this.config.account },
-						});
-					} else {
-						this.log.error("No accounts found for this user");
-						this.terminate("No Account Found");
-						return;
-					}
-				} catch (error) {
-					this.log.error(`Failed to auto-discover account: ${error.message}`);
-					this.terminate("Account Discovery Failed");
-					return;
+		if (field === "schedules") {
+			try {
+				const schedules = typeof state.val === "string" ? JSON.parse(state.val) : state.val;
+				if (!Array.isArray(schedules)) {
+					throw new Error("expected an array");
 				}
+				preferences.schedules = schedules.map((schedule) => ({
+					dayOfWeek: String(schedule.dayOfWeek).toUpperCase(),
+					max: Number(schedule.max),
+					...(schedule.min !== undefined && schedule.min !== null ? { min: Number(schedule.min) } : {}),
+					time: String(schedule.time),
+				}));
+			} catch (error) {
+				this.log.error(`Invalid schedules for device ${deviceKey}: ${error.message}`);
+				await this.setStateAsync(id, previous, true);
+				return;
 			}
 
-			// Set charging preferences if enabled
-			if (this.config.enableChargingPreferences) {
-				this.log.info("Setting vehicle charging preferences...");
-				try {
-					const success = await this.octopusGermany.setVehicleChargePreferences(
-						this.config.account,
-						this.config.weekdayTargetSoc,
-						this.config.weekendTargetSoc,
-						this.config.weekdayTargetTime,
-						this.config.weekendTargetTime,
-					);
-
-					if (success) {
-						this.log.info("Vehicle charging preferences set successfully");
-					} else {
-						this.log.warn("Failed to set vehicle charging preferences");
+			const invalid = preferences.schedules.find(
+				(schedule) =>
+					!SCHEDULE_DAYS.includes(schedule.dayOfWeek.toLowerCase()) ||
+					!isFinite(schedule.max) ||
+					(schedule.min !== undefined && !isFinite(schedule.min)),
+			);
+			if (invalid) {
+				this.log.error(`Invalid schedule entry for device ${deviceKey}: ${JSON.stringify(invalid)}`);
+				await this.setStateAsync(id, previous, true);
+				return;
+			}
+		} else if (DEVICE_SCHEDULE_FIELDS.includes(field)) {
+			let value;
+			try {
+				if (preferences.schedules.length === 0) {
+					throw new Error("the device has no preference schedules");
+				}
+				if (field === "targetSoc") {
+					value = Number(state.val);
+					if (state.val === null || !isFinite(value) || value < 0 || value > 100) {
+						throw new Error(`target SoC ${state.val} is not between 0 and 100`);
 					}
-				} catch (error) {
-					this.log.error(`Error setting charging preferences: ${error.message}`);
+				} else {
+					value = this.octopusGermany.formatTimeToHhMm(String(state.val ?? ""));
 				}
+			} catch (error) {
+				this.log.error(`Invalid ${field} for device ${deviceKey}: ${error.message}`);
+				await this.setStateAsync(id, previous, true);
+				return;
 			}
+			for (const schedule of preferences.schedules) {
+				schedule[field === "targetSoc" ? "max" : "time"] = value;
+			}
+		} else {
+			preferences[field] = String(state.val);
+		}
 
-			await this.fetchDataFromAPI();
+		this.log.info(`Changing ${field} of device ${device.name || deviceKey} (account ${account.number})`);
+		const success = await this.octopusGermany.setDevicePreferences(device.id, preferences);
 
-			// Create cheap phase states
-			await this.createCheapPhaseStates();
+		if (success) {
+			// Keep the cached device in line until the next devices refresh, so a second change
+			// within the refresh interval does not send the old values of the other fields
+			device.preferences = { ...current, ...preferences };
 
-			// Start cheap phase checker (every 60 seconds)
-			this.phaseCheckInterval = setInterval(() => {
-				this.checkCheapPhase();
-			}, 60000);
+			// Acknowledge the state change, schedule changes together with the states derived from the schedules
+			const devicePath = `${account.path}.devices.${key}`;
+			if (field === "schedules" || DEVICE_SCHEDULE_FIELDS.includes(field)) {
+				await this.setStateAsync(`${devicePath}.preferences.schedules`, JSON.stringify(preferences.schedules), true);
+				if (this.hasDeviceControl(device, "schedule")) {
+					await this.updateDevicePreferenceStates(devicePath, device);
+				}
+			} else {
+				await this.setStateAsync(id, preferences[field], true);
+			}
+			this.log.info(`Successfully changed ${field} of device ${device.name || deviceKey}`);
+		} else {
+			this.log.error(`Failed to change ${field} of device ${device.name || deviceKey}`);
+			// Reset state to previous value
+			await this.setStateAsync(id, previous, true);
+		}
+	}
 
-			// Initial check
-			await this.checkCheapPhase();
+	/**
+	 * Create the control states of SmartFlex devices (devices reporting preferences)
+	 * @param {Array} devices - Devices of the account
+	 * @param {AccountContext} account - Account runtime data
+	 */
+	async createDeviceControlStates(devices, account) {
+		for (const [index, device] of devices.entries()) {
+			const profile = this.getDeviceProfile(device);
+			const devicePath = `${account.path}.devices.${this.getDeviceKey(device, index)}`;
+			await this.setObjectNotExistsAsync(`${devicePath}.kind`, {
+				type: "state",
+				common: {
+					name: N.deviceKind,
+					type: "string",
+					role: "text",
+					read: true,
+					write: false,
+				},
+				native: {},
+			});
+			await this.setStateAsync(`${devicePath}.kind`, profile.kind, true);
+			this.staleObjects?.touch(`${devicePath}.kind`);
 
-			// Initialize AI Mode if enabled
-			if (this.config.enableAiMode) {
-				this.log.info("AI Mode is enabled, initializing AI Decision Engine...");
-				try {
-					this.aiEngine = new AIDecisionEngine(this, this.config);
-					await this.aiEngine.initialize();
-					this.log.info("AI Decision Engine initialized successfully");
+			// Supported controls, "none" for device types that are reported for information only
+			await this.setObjectNotExistsAsync(`${devicePath}.controls`, {
+				type: "state",
+				common: {
+					name: N.deviceControls,
+					type: "string",
+					role: "text",
+					read: true,
+					write: false,
+				},
+				native: {},
+			});
+			await this.setStateAsync(`${devicePath}.controls`, profile.controls.join(",") || "none", true);
+			this.staleObjects?.touch(`${devicePath}.controls`);
 
-					// Create trigger state for manual AI decision
-					await this.setObjectNotExistsAsync("aiMode.triggerDecision", {
-						type: "state",
-						common: {
-							name: N.triggerAiDecision,
-							type: "boolean",
-							role: "button",
-							read: true,
-							write: true,
-						},
+			// Suspension, writable only for device types that can be suspended
+			const suspendable = profile.controls.includes("suspend");
+			await this.setObjectNotExistsAsync(`${devicePath}.status`, {
+				type: "channel",
+				common: { name: "status" },
+				native: {},
+			});
+			await this.createMirroredStateObject(`${devicePath}.status.isSuspended`, "isSuspended", {
+				type: "boolean",
+				role: suspendable ? "switch" : "indicator",
+				write: suspendable,
+			});
+			await this.setStateAsync(`${devicePath}.status.isSuspended`, device.status?.isSuspended ?? null, true);
+			this.staleObjects?.touch(`${devicePath}.status.isSuspended`);
+
+			// Typed states of the type fragment fields
+			for (const [path, schema] of Object.entries(profile.fields)) {
+				const parts = path.split(".");
+				if (parts.length > 1) {
+					await this.setObjectNotExistsAsync(`${devicePath}.${parts[0]}`, {
+						type: "channel",
+						common: { name: parts[0] },
 						native: {},
 					});
-					await this.setStateAsync("aiMode.triggerDecision", false, true);
-
-					// Subscribe to trigger state
-					this.subscribeStates("aiMode.triggerDecision");
-				} catch (error) {
-					this.log.error(`Failed to initialize AI Decision Engine: ${error.message}`);
-					this.log.warn("Continuing without AI Mode");
 				}
-			} else {
-				this.log.debug("AI Mode is disabled");
+				const value = parts.reduce((obj, part) => (obj && typeof obj === "object" ? obj[part] : undefined), device);
+				await this.createMirroredStateObject(`${devicePath}.${path}`, parts[parts.length - 1], schema);
+				await this.setStateAsync(
+					`${devicePath}.${path}`,
+					value === undefined || value === null ? null : schema.type === "number" ? parseFloat(value) : String(value),
+					true,
+				);
+				this.staleObjects?.touch(`${devicePath}.${path}`);
 			}
 
-			// Starte die zyklische Abfrage
-			this.pollInterval = setInterval(() => {
-				this.fetchDataFromAPI();
-			}, this.config.pollInterval * 1000);
-
-			// Initialize Smart Charging Planner if enabled
-			if (this.config.enableSmartCharging) {
-				this.log.info("Smart Charging Planner is enabled, initializing...");
-				try {
-					this.smartChargingPlanner = new SmartChargingPlanner(this, this.config);
-					await this.smartChargingPlanner.initialize();
-					this.subscribeStates("smartCharging.triggerCalculation");
-					this.log.info("Smart Charging Planner initialized successfully");
-				} catch (error) {
-					this.log.error(`Failed to initialize Smart Charging Planner: ${error.message}`);
-					this.log.warn("Continuing without Smart Charging Planner");
-				}
-			} else {
-				this.log.debug("Smart Charging Planner is disabled");
+			// Boost and schedule controls need the SmartFlex preferences
+			if (!device.preferences) {
+				continue;
 			}
 
-			// Initialize charging monitoring if enabled
-			if (this.config.enableChargingMonitoring) {
-				this.log.info("Smart Charging Monitoring is enabled");
-				// Start monitoring interval - check every 30 minutes
-				this.chargingMonitoringInterval = setInterval(() => {
-					this.checkChargingStatus();
-				}, 30 * 60 * 1000); // 30 minutes
+			if (profile.controls.includes("boost")) {
+				const basePath = `${devicePath}.control`;
+				this.staleObjects?.touch(`${basePath}.boostCharge`);
+				await this.setObjectNotExistsAsync(basePath, {
+					type: "channel",
+					common: { name: N.controlChannel },
+					native: {},
+				});
 
-				// Initial check after 1 minute
-				setTimeout(() => {
-					this.checkChargingStatus();
-				}, 60000);
+				await this.setObjectNotExistsAsync(`${basePath}.boostCharge`, {
+					type: "state",
+					common: {
+						name: N.boostCharge,
+						type: "boolean",
+						role: "switch.boost",
+						read: true,
+						write: true,
+						def: false,
+					},
+					native: {},
+				});
+				// The switch follows the state reported by the device, so it turns off when the boost ends
+				await this.setStateAsync(`${basePath}.boostCharge`, this.isBoosting(device), true);
+			}
+
+			if (profile.controls.includes("schedule")) {
+				// Scalar preference states for VIS and scripts, applied to every schedule entry when written
+				this.staleObjects?.touch(`${devicePath}.preferences.targetSoc`);
+				this.staleObjects?.touch(`${devicePath}.preferences.readyByTime`);
+				await this.setObjectNotExistsAsync(`${devicePath}.preferences.targetSoc`, {
+					type: "state",
+					common: {
+						name: N.scheduleTargetSoc,
+						type: "number",
+						role: "level.battery",
+						read: true,
+						write: true,
+						min: 0,
+						max: 100,
+						unit: "%",
+					},
+					native: {},
+				});
+				await this.setObjectNotExistsAsync(`${devicePath}.preferences.readyByTime`, {
+					type: "state",
+					common: {
+						name: N.scheduleTargetTime,
+						type: "string",
+						role: "text",
+						read: true,
+						write: true,
+					},
+					native: {},
+				});
+				await this.updateDevicePreferenceStates(devicePath, device);
 			}
-		} else {
-			this.setState("info.connection", false, true);
-			this.log.error("Login not possible - check credentials");
-			this.terminate("No Login");
 		}
 	}
 
-	async fetchDataFromAPI() {
-		try {
-			const allData = await this.octopusGermany.fetchAllData(this.config.account);
-
-			if (!allData) {
-				this.log.error("Failed to fetch data from API - no data returned");
-				this.setState("info.connection", false, true);
-				return;
-			}
+	/**
+	 * Whether a device reports a running boost charge
+	 * @param {Object} device - Device of the devices section
+	 * @returns {boolean} True while boosting
+	 */
+	isBoosting(device) {
+		return device.status?.currentState === "BOOSTING";
+	}
 
-			this.log.debug(`Fetched data from API: ${JSON.stringify(allData)}`);
+	/**
+	 * Start or cancel a boost charge of a device
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {string|number} deviceRef - Device key, ID, name or index in the devices section
+	 * @param {boolean} start - True to start, false to cancel the boost charge
+	 * @returns {Promise<{success: boolean, error?: string}>} Result of the change
+	 */
+	async setBoostCharge(account, deviceRef, start) {
+		const { device, key } = this.findDevice(account, deviceRef) || {};
+		if (!device || !device.id || !device.preferences || !this.hasDeviceControl(device, "boost")) {
+			return { success: false, error: `Device ${deviceRef} of account ${account.number} does not support boost charging` };
+		}
 
-			// Create data points for each section
-			if (allData.account) {
-				this.createDataPointsFromJson.call(this, allData.account, this.name + "." + this.instance + ".account");
-				// Process pricing information
-				await this.processPricingData(allData.account);
-			}
-			if (allData.devices) {
-				this.createDataPointsFromJson.call(this, allData.devices, this.name + "." + this.instance + ".devices");
-			}
-			if (allData.plannedDispatches) {
-				this.createDataPointsFromJson.call(
-					this,
-					allData.plannedDispatches,
-					this.name + "." + this.instance + ".plannedDispatches",
-				);
-				// Store planned dispatches for cheap phase checking
-				this.plannedDispatches = Array.isArray(allData.plannedDispatches)
-					? allData.plannedDispatches
-					: [];
-				// Trigger immediate cheap phase check after updating dispatches
-				await this.checkCheapPhase();
-			}
-			if (allData.completedDispatches) {
-				this.createDataPointsFromJson.call(
-					this,
-					allData.completedDispatches,
-					this.name + "." + this.instance + ".completedDispatches",
-				);
-			}
+		const statePath = `${account.path}.devices.${key}.control.boostCharge`;
+		if (!start && !this.isBoosting(device)) {
+			// Nothing to cancel, the boost has already ended
+			await this.setStateAsync(statePath, false, true);
+			return { success: true };
+		}
 
-			// Process device alerts
-			if (allData.devices) {
-				await this.processDeviceAlerts(allData.devices);
-			}
+		const action = start ? "BOOST" : "CANCEL";
+		this.log.info(`Changing boost charge for device ${device.name || key} of account ${account.number}: ${action}`);
 
-			// Subscribe to device states (only done once per device in subscribeDeviceStates)
-			this.subscribeDeviceStates(allData.devices);
-			this.setState("info.connection", true, true);
-		} catch (error) {
-			this.log.error(`Error fetching data from API: ${error.message}`);
-			this.setState("info.connection", false, true);
+		const result = await this.octopusGermany.changeBoostCharge(device.id, action);
+		if (!result) {
+			return { success: false, error: `Failed to ${action} boost charge - see adapter log` };
 		}
+
+		// Keep the cached state in line until the next devices refresh reports the actual state
+		device.status = { ...device.status, currentState: start ? "BOOSTING" : null };
+		await this.setStateAsync(statePath, start, true);
+		return { success: true };
 	}
 
 	/**
 	 * Create states for cheap phase detection
+	 * @param {AccountContext} account - Account runtime data
 	 */
-	async createCheapPhaseStates() {
-		const basePath = `${this.name}.${this.instance}.cheapPhase`;
+	async createCheapPhaseStates(account) {
+		const basePath = `${account.path}.cheapPhase`;
 
 		// Create channel
 		await this.setObjectNotExistsAsync(basePath, {
@@ -423,19 +2183,27 @@ class Calamari extends utils.Adapter {
 			native: {},
 		});
 
-		this.log.debug("Cheap phase states created");
+		this.log.debug(`Cheap phase states created for account ${account.number}`);
 	}
 
 	/**
 	 * Check if we are currently in a cheap electricity phase
 	 * and update related states
+	 * @param {AccountContext} [account] - Account to check, all accounts if omitted
 	 */
-	async checkCheapPhase() {
+	async checkCheapPhase(account) {
+		if (!account) {
+			for (const acc of this.accounts.values()) {
+				await this.checkCheapPhase(acc);
+			}
+			return;
+		}
+
 		try {
 			const now = new Date();
-			const basePath = `${this.name}.${this.instance}.cheapPhase`;
+			const basePath = `${account.path}.cheapPhase`;
 
-			if (!this.plannedDispatches || this.plannedDispatches.length === 0) {
+			if (!account.plannedDispatches || account.plannedDispatches.length === 0) {
 				// No planned dispatches available
 				await this.setStateAsync(`${basePath}.active`, { val: false, ack: true });
 				await this.setStateAsync(`${basePath}.current.start`, { val: "", ack: true });
@@ -453,13 +2221,9 @@ class Calamari extends utils.Adapter {
 			let currentPhase = null;
 			let nextPhase = null;
 
-			for (const dispatch of this.plannedDispatches) {
-				if (!dispatch.startDt || !dispatch.endDt) {
-					continue;
-				}
-
-				const start = new Date(dispatch.startDt);
-				const end = new Date(dispatch.endDt);
+			for (const dispatch of account.plannedDispatches) {
+				const start = new Date(dispatch.start);
+				const end = new Date(dispatch.end);
 
 				// Check if we're in this phase
 				if (now >= start && now <= end) {
@@ -469,7 +2233,7 @@ class Calamari extends utils.Adapter {
 
 				// Find next upcoming phase
 				if (now < start) {
-					if (!nextPhase || new Date(dispatch.startDt) < new Date(nextPhase.startDt)) {
+					if (!nextPhase || start < new Date(nextPhase.start)) {
 						nextPhase = dispatch;
 					}
 				}
@@ -477,20 +2241,18 @@ class Calamari extends utils.Adapter {
 
 			// Update current phase states
 			if (currentPhase) {
-				const start = new Date(currentPhase.startDt);
-				const end = new Date(currentPhase.endDt);
+				const end = new Date(currentPhase.end);
 				const remainingMs = end.getTime() - now.getTime();
 				const remainingMinutes = Math.ceil(remainingMs / 60000);
-				const deltaKwh = parseFloat(currentPhase.deltaKwh || currentPhase.delta || 0);
 
 				await this.setStateAsync(`${basePath}.active`, { val: true, ack: true });
-				await this.setStateAsync(`${basePath}.current.start`, { val: currentPhase.startDt, ack: true });
-				await this.setStateAsync(`${basePath}.current.end`, { val: currentPhase.endDt, ack: true });
-				await this.setStateAsync(`${basePath}.current.deltaKwh`, { val: deltaKwh, ack: true });
+				await this.setStateAsync(`${basePath}.current.start`, { val: currentPhase.start, ack: true });
+				await this.setStateAsync(`${basePath}.current.end`, { val: currentPhase.end, ack: true });
+				await this.setStateAsync(`${basePath}.current.deltaKwh`, { val: currentPhase.kwh, ack: true });
 				await this.setStateAsync(`${basePath}.current.remainingMinutes`, { val: remainingMinutes, ack: true });
 
 				this.log.info(
-					`Currently in cheap phase: ${currentPhase.startDt} - ${currentPhase.endDt} (${remainingMinutes} min remaining)`,
+					`Account ${account.number}: currently in cheap phase: ${currentPhase.start} - ${currentPhase.end} (${remainingMinutes} min remaining)`,
 				);
 			} else {
 				// Not in a cheap phase
@@ -503,18 +2265,17 @@ class Calamari extends utils.Adapter {
 
 			// Update next phase states
 			if (nextPhase) {
-				const start = new Date(nextPhase.startDt);
+				const start = new Date(nextPhase.start);
 				const untilStartMs = start.getTime() - now.getTime();
 				const minutesUntilStart = Math.ceil(untilStartMs / 60000);
-				const deltaKwh = parseFloat(nextPhase.deltaKwh || nextPhase.delta || 0);
 
-				await this.setStateAsync(`${basePath}.next.start`, { val: nextPhase.startDt, ack: true });
-				await this.setStateAsync(`${basePath}.next.end`, { val: nextPhase.endDt, ack: true });
-				await this.setStateAsync(`${basePath}.next.deltaKwh`, { val: deltaKwh, ack: true });
+				await this.setStateAsync(`${basePath}.next.start`, { val: nextPhase.start, ack: true });
+				await this.setStateAsync(`${basePath}.next.end`, { val: nextPhase.end, ack: true });
+				await this.setStateAsync(`${basePath}.next.deltaKwh`, { val: nextPhase.kwh, ack: true });
 				await this.setStateAsync(`${basePath}.next.minutesUntilStart`, { val: minutesUntilStart, ack: true });
 
 				this.log.debug(
-					`Next cheap phase: ${nextPhase.startDt} - ${nextPhase.endDt} (starts in ${minutesUntilStart} min)`,
+					`Account ${account.number}: next cheap phase: ${nextPhase.start} - ${nextPhase.end} (starts in ${minutesUntilStart} min)`,
 				);
 			} else {
 				// No upcoming phase
@@ -524,22 +2285,149 @@ class Calamari extends utils.Adapter {
 				await this.setStateAsync(`${basePath}.next.minutesUntilStart`, { val: 0, ack: true });
 			}
 		} catch (error) {
-			this.log.error(`Error checking cheap phase: ${error.message}`);
+			this.log.error(`Error checking cheap phase for account ${account.number}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Write the rate that applies now and the next rate change of an account (pricing.current / pricing.next),
+	 * and schedule the next update exactly at the following slot boundary
+	 * @param {AccountContext} account - Account runtime data
+	 */
+	async updateCurrentPrice(account) {
+		if (account.priceTimer) {
+			clearTimeout(account.priceTimer);
+			account.priceTimer = null;
+		}
+
+		const basePath = `${account.path}.pricing`;
+		await this.createCurrentPriceStates(basePath);
+
+		const now = new Date();
+		const slot = getSlotAt(account.tariffSlots, now);
+		const next = getNextChange(account.tariffSlots, now);
+
+		await this.setStateAsync(`${basePath}.current.grossRate`, slot ? slot.grossRate : null, true);
+		await this.setStateAsync(`${basePath}.current.timeslotName`, slot ? slot.name : "", true);
+		await this.setStateAsync(`${basePath}.next.changeAt`, next ? next.at.getTime() : null, true);
+		await this.setStateAsync(`${basePath}.next.grossRate`, next && next.slot ? next.slot.grossRate : null, true);
+
+		// The timeline starts at the current hour, so it moves on with every slot change
+		await this.updatePriceTimeline(account);
+
+		if (next) {
+			this.log.debug(
+				`Account ${account.number}: ${slot ? slot.name || "single rate" : "no rate"} now, ` +
+					`${next.slot ? next.slot.name : "no rate"} from ${next.at.toLocaleString("de-DE")}`,
+			);
+			account.priceTimer = setTimeout(() => {
+				account.priceTimer = null;
+				this.updateCurrentPrice(account).catch((error) =>
+					this.log.error(`Error updating current price of account ${account.number}: ${error.message}`),
+				);
+			}, next.at.getTime() - now.getTime());
+		}
+	}
+
+	/**
+	 * Write the price timeline of an account from the current hour on as JSON array of
+	 * {start, end, grossRate, source} (start/end in ms, see PriceSegment in lib/tariff.js),
+	 * usable as eCharts dataset or flot series without conversion
+	 * @param {AccountContext} account - Account runtime data
+	 */
+	async updatePriceTimeline(account) {
+		const id = `${account.path}.pricing.timeline`;
+		await this.setObjectNotExistsAsync(id, {
+			type: "state",
+			common: {
+				name: N.priceTimeline,
+				type: "string",
+				role: "json",
+				read: true,
+				write: false,
+				def: "[]",
+			},
+			native: {},
+		});
+
+		const hours = Number(this.config.priceTimelineHours) === 24 ? 24 : 48;
+		const from = new Date();
+		from.setMinutes(0, 0, 0);
+		const to = new Date(from.getTime() + hours * 3600000);
+
+		const timeline = buildPriceTimeline(account.tariffSlots, account.plannedDispatches, from, to);
+		await this.setStateAsync(id, JSON.stringify(timeline), true);
+	}
+
+	/**
+	 * Create the current price and next price change states of an account
+	 * @param {string} basePath - Object ID of the pricing channel
+	 */
+	async createCurrentPriceStates(basePath) {
+		await this.setObjectNotExistsAsync(`${basePath}.current`, {
+			type: "channel",
+			common: { name: N.currentPriceChannel },
+			native: {},
+		});
+		await this.setObjectNotExistsAsync(`${basePath}.next`, {
+			type: "channel",
+			common: { name: N.nextPriceChannel },
+			native: {},
+		});
+
+		const states = {
+			"current.grossRate": { name: N.grossRateCurrent, type: "number", role: "value.price", unit: "ct/kWh" },
+			"current.timeslotName": { name: N.timeslotName, type: "string", role: "text" },
+			"next.changeAt": { name: N.nextPriceChangeAt, type: "number", role: "date" },
+			"next.grossRate": { name: N.grossRate, type: "number", role: "value.price", unit: "ct/kWh" },
+		};
+		for (const [id, state] of Object.entries(states)) {
+			const common = {
+				name: state.name,
+				type: /** @type {ioBroker.CommonType} */ (state.type),
+				role: state.role,
+				read: true,
+				write: false,
+			};
+			if (state.unit) {
+				common.unit = state.unit;
+			}
+			await this.setObjectNotExistsAsync(`${basePath}.${id}`, {
+				type: "state",
+				common,
+				native: {},
+			});
 		}
 	}
 
+	/**
+	 * Relative pricing path of an agreement, keyed by property ID and MaLo number
+	 * @param {Object} property - Property of the account data
+	 * @param {number} propIndex - Position of the property, used if it has no ID
+	 * @param {Object} malo - Electricity MaLo of the property
+	 * @param {number} maloIndex - Position of the MaLo, used if it has no MaLo number
+	 * @param {number} agreeIndex - Position of the agreement in the MaLo
+	 * @returns {string} Path below the account, e.g. pricing.123456.DE0001234567890.agreement_0
+	 */
+	getPricingPath(property, propIndex, malo, maloIndex, agreeIndex) {
+		const propertyKey = property.id ? String(property.id).replace(this.FORBIDDEN_CHARS, "_") : `property_${propIndex}`;
+		const maloKey = malo.maloNumber ? String(malo.maloNumber).replace(this.FORBIDDEN_CHARS, "_") : `malo_${maloIndex}`;
+		return `pricing.${propertyKey}.${maloKey}.agreement_${agreeIndex}`;
+	}
+
 	/**
 	 * Process pricing information from account data and create pricing states
+	 * under pricing.<propertyId>.<maloNumber>.agreement_<n>
 	 * @param {Object} accountData - Account data with pricing information
+	 * @param {AccountContext} account - Account runtime data
 	 */
-	async processPricingData(accountData) {
+	async processPricingData(accountData, account) {
 		if (!accountData || !accountData.allProperties) {
 			return;
 		}
 
+		const basePath = `${account.path}.pricing`;
 		try {
-			const basePath = `${this.name}.${this.instance}.pricing`;
-
 			// Create pricing channel
 			await this.setObjectNotExistsAsync(basePath, {
 				type: "channel",
@@ -549,186 +2437,207 @@ class Calamari extends utils.Adapter {
 				native: {},
 			});
 
-			accountData.allProperties.forEach((property, propIndex) => {
-				if (property.electricityMalos) {
-					property.electricityMalos.forEach((malo, maloIndex) => {
-						if (malo.agreements) {
-							malo.agreements.forEach(async (agreement, agreeIndex) => {
-								if (agreement.unitRateInformation) {
-									const rateInfo = agreement.unitRateInformation;
-									const ratePath = `${basePath}.malo_${maloIndex}_agreement_${agreeIndex}`;
-
-									// Handle SimpleProductUnitRateInformation
-									if (rateInfo.__typename === "SimpleProductUnitRateInformation") {
-										if (rateInfo.latestGrossUnitRateCentsPerKwh !== undefined) {
-											await this.setObjectNotExistsAsync(`${ratePath}.grossRate`, {
-												type: "state",
-												common: {
-													name: N.grossRateCurrent,
-													type: "number",
-													role: "value.price",
-													read: true,
-													write: false,
-													unit: "ct/kWh",
-												},
-												native: {},
-											});
-											await this.setStateAsync(`${ratePath}.grossRate`, {
-												val: parseFloat(rateInfo.latestGrossUnitRateCentsPerKwh),
-												ack: true,
-											});
-										}
-
-										if (rateInfo.netUnitRateCentsPerKwh !== undefined) {
-											await this.setObjectNotExistsAsync(`${ratePath}.netRate`, {
-												type: "state",
-												common: {
-													name: N.netRateCurrent,
-													type: "number",
-													role: "value.price",
-													read: true,
-													write: false,
-													unit: "ct/kWh",
-												},
-												native: {},
-											});
-											await this.setStateAsync(`${ratePath}.netRate`, {
-												val: parseFloat(rateInfo.netUnitRateCentsPerKwh),
-												ack: true,
-											});
-										}
-									}
-
-									// Handle TimeOfUseProductUnitRateInformation
-									if (rateInfo.__typename === "TimeOfUseProductUnitRateInformation" && rateInfo.rates) {
-										rateInfo.rates.forEach(async (rate, rateIndex) => {
-											const timeSlotPath = `${ratePath}.timeslot_${rateIndex}`;
-
-											// Create timeslot name state
-											if (rate.timeslotName) {
-												await this.setObjectNotExistsAsync(`${timeSlotPath}.name`, {
-													type: "state",
-													common: {
-														name: N.timeslotName,
-														type: "string",
-														role: "text",
-														read: true,
-														write: false,
-													},
-													native: {},
-												});
-												await this.setStateAsync(`${timeSlotPath}.name`, {
-													val: rate.timeslotName,
-													ack: true,
-												});
-											}
-
-											// Gross rate
-											if (rate.latestGrossUnitRateCentsPerKwh !== undefined) {
-												await this.setObjectNotExistsAsync(`${timeSlotPath}.grossRate`, {
-													type: "state",
-													common: {
-														name: N.grossRate,
-														type: "number",
-														role: "value.price",
-														read: true,
-														write: false,
-														unit: "ct/kWh",
-													},
-													native: {},
-												});
-												await this.setStateAsync(`${timeSlotPath}.grossRate`, {
-													val: parseFloat(rate.latestGrossUnitRateCentsPerKwh),
-													ack: true,
-												});
-											}
-
-											// Net rate
-											if (rate.netUnitRateCentsPerKwh !== undefined) {
-												await this.setObjectNotExistsAsync(`${timeSlotPath}.netRate`, {
-													type: "state",
-													common: {
-														name: N.netRate,
-														type: "number",
-														role: "value.price",
-														read: true,
-														write: false,
-														unit: "ct/kWh",
-													},
-													native: {},
-												});
-												await this.setStateAsync(`${timeSlotPath}.netRate`, {
-													val: parseFloat(rate.netUnitRateCentsPerKwh),
-													ack: true,
-												});
-											}
-
-											// Activation rules
-											if (rate.timeslotActivationRules) {
-												rate.timeslotActivationRules.forEach(async (rule, ruleIndex) => {
-													if (rule.activeFromTime) {
-														await this.setObjectNotExistsAsync(
-															`${timeSlotPath}.activeFrom_${ruleIndex}`,
-															{
-																type: "state",
-																common: {
-																	name: N.activeFrom,
-																	type: "string",
-																	role: "text",
-																	read: true,
-																	write: false,
-																},
-																native: {},
-															},
-														);
-														await this.setStateAsync(`${timeSlotPath}.activeFrom_${ruleIndex}`, {
-															val: rule.activeFromTime,
-															ack: true,
-														});
-													}
-
-													if (rule.activeToTime) {
-														await this.setObjectNotExistsAsync(
-															`${timeSlotPath}.activeTo_${ruleIndex}`,
-															{
-																type: "state",
-																common: {
-																	name: N.activeTo,
-																	type: "string",
-																	role: "text",
-																	read: true,
-																	write: false,
-																},
-																native: {},
-															},
-														);
-														await this.setStateAsync(`${timeSlotPath}.activeTo_${ruleIndex}`, {
-															val: rule.activeToTime,
-															ack: true,
-														});
-													}
-												});
-											}
-										});
-									}
-								}
-							});
-						}
+			// Former versions keyed the agreements by MaLo position only (malo_<n>_agreement_<n>)
+			const legacy = await this.getForeignObjectsAsync(`${basePath}.malo_*`, "state");
+			for (const id of Object.keys(legacy || {})) {
+				if (/\.pricing\.malo_\d+_agreement_\d+\./.test(id)) {
+					await this.delObjectAsync(id);
+				}
+			}
+		} catch (error) {
+			this.log.error(`Error preparing pricing states of account ${account.number}: ${error.message}`);
+			return;
+		}
+
+		let failed = 0;
+		for (const [propIndex, property] of accountData.allProperties.entries()) {
+			for (const [maloIndex, malo] of (property.electricityMalos || []).entries()) {
+				for (const [agreeIndex, agreement] of (malo.agreements || []).entries()) {
+					if (!agreement.unitRateInformation) {
+						continue;
+					}
+					const ratePath = `${account.path}.${this.getPricingPath(property, propIndex, malo, maloIndex, agreeIndex)}`;
+					try {
+						await this.processAgreementPricing(ratePath, agreement.unitRateInformation);
+					} catch (error) {
+						failed++;
+						this.log.error(
+							`Error processing pricing of agreement ${agreeIndex} (${agreement.product?.code || "unknown product"}) ` +
+								`of MaLo ${malo.maloNumber || maloIndex}, property ${property.id || propIndex}: ${error.message}`,
+						);
+					}
+				}
+			}
+		}
+
+		if (failed === 0) {
+			this.log.debug("Pricing data processed successfully");
+		}
+	}
+
+	/**
+	 * Create the rate states of one agreement
+	 * @param {string} ratePath - Object ID of the agreement pricing channel
+	 * @param {Object} rateInfo - unitRateInformation of the agreement
+	 */
+	async processAgreementPricing(ratePath, rateInfo) {
+		// Handle SimpleProductUnitRateInformation
+		if (rateInfo.__typename === "SimpleProductUnitRateInformation") {
+			if (rateInfo.latestGrossUnitRateCentsPerKwh !== undefined) {
+				await this.setObjectNotExistsAsync(`${ratePath}.grossRate`, {
+					type: "state",
+					common: {
+						name: N.grossRateCurrent,
+						type: "number",
+						role: "value.price",
+						read: true,
+						write: false,
+						unit: "ct/kWh",
+					},
+					native: {},
+				});
+				await this.setStateAsync(`${ratePath}.grossRate`, {
+					val: parseFloat(rateInfo.latestGrossUnitRateCentsPerKwh),
+					ack: true,
+				});
+			}
+
+			if (rateInfo.netUnitRateCentsPerKwh !== undefined) {
+				await this.setObjectNotExistsAsync(`${ratePath}.netRate`, {
+					type: "state",
+					common: {
+						name: N.netRateCurrent,
+						type: "number",
+						role: "value.price",
+						read: true,
+						write: false,
+						unit: "ct/kWh",
+					},
+					native: {},
+				});
+				await this.setStateAsync(`${ratePath}.netRate`, {
+					val: parseFloat(rateInfo.netUnitRateCentsPerKwh),
+					ack: true,
+				});
+			}
+
+			await this.processRateChanges(ratePath, rateInfo.grossRateInformation);
+		}
+
+		// Handle TimeOfUseProductUnitRateInformation
+		if (rateInfo.__typename === "TimeOfUseProductUnitRateInformation" && rateInfo.rates) {
+			for (const [rateIndex, rate] of rateInfo.rates.entries()) {
+				const timeSlotPath = `${ratePath}.timeslot_${rateIndex}`;
+
+				// Create timeslot name state
+				if (rate.timeslotName) {
+					await this.setObjectNotExistsAsync(`${timeSlotPath}.name`, {
+						type: "state",
+						common: {
+							name: N.timeslotName,
+							type: "string",
+							role: "text",
+							read: true,
+							write: false,
+						},
+						native: {},
+					});
+					await this.setStateAsync(`${timeSlotPath}.name`, {
+						val: rate.timeslotName,
+						ack: true,
+					});
+				}
+
+				// Gross rate
+				if (rate.latestGrossUnitRateCentsPerKwh !== undefined) {
+					await this.setObjectNotExistsAsync(`${timeSlotPath}.grossRate`, {
+						type: "state",
+						common: {
+							name: N.grossRate,
+							type: "number",
+							role: "value.price",
+							read: true,
+							write: false,
+							unit: "ct/kWh",
+						},
+						native: {},
+					});
+					await this.setStateAsync(`${timeSlotPath}.grossRate`, {
+						val: parseFloat(rate.latestGrossUnitRateCentsPerKwh),
+						ack: true,
+					});
+				}
+
+				// Net rate
+				if (rate.netUnitRateCentsPerKwh !== undefined) {
+					await this.setObjectNotExistsAsync(`${timeSlotPath}.netRate`, {
+						type: "state",
+						common: {
+							name: N.netRate,
+							type: "number",
+							role: "value.price",
+							read: true,
+							write: false,
+							unit: "ct/kWh",
+						},
+						native: {},
+					});
+					await this.setStateAsync(`${timeSlotPath}.netRate`, {
+						val: parseFloat(rate.netUnitRateCentsPerKwh),
+						ack: true,
 					});
 				}
-			});
 
-			this.log.debug("Pricing data processed successfully");
-		} catch (error) {
-			this.log.error(`Error processing pricing data: ${error.message}`);
+				await this.processRateChanges(timeSlotPath, rate.grossRateInformation, rate.timeslotName);
+
+				// Activation rules
+				for (const [ruleIndex, rule] of (rate.timeslotActivationRules || []).entries()) {
+					if (rule.activeFromTime) {
+						await this.setObjectNotExistsAsync(`${timeSlotPath}.activeFrom_${ruleIndex}`, {
+							type: "state",
+							common: {
+								name: N.activeFrom,
+								type: "string",
+								role: "text",
+								read: true,
+								write: false,
+							},
+							native: {},
+						});
+						await this.setStateAsync(`${timeSlotPath}.activeFrom_${ruleIndex}`, {
+							val: rule.activeFromTime,
+							ack: true,
+						});
+					}
+
+					if (rule.activeToTime) {
+						await this.setObjectNotExistsAsync(`${timeSlotPath}.activeTo_${ruleIndex}`, {
+							type: "state",
+							common: {
+								name: N.activeTo,
+								type: "string",
+								role: "text",
+								read: true,
+								write: false,
+							},
+							native: {},
+						});
+						await this.setStateAsync(`${timeSlotPath}.activeTo_${ruleIndex}`, {
+							val: rule.activeToTime,
+							ack: true,
+						});
+					}
+				}
+			}
 		}
 	}
 
 	/**
 	 * Process device alerts and send notifications for new alerts
 	 * @param {Array} devices - Array of devices with alerts
+	 * @param {AccountContext} account - Account runtime data
 	 */
-	async processDeviceAlerts(devices) {
+	async processDeviceAlerts(devices, account) {
 		if (!devices || !Array.isArray(devices)) {
 			return;
 		}
@@ -739,21 +2648,23 @@ class Calamari extends utils.Adapter {
 		}
 
 		devices.forEach((device, deviceIndex) => {
+			const deviceKey = this.getDeviceKey(device, deviceIndex);
 			if (device.alerts && Array.isArray(device.alerts)) {
 				device.alerts.forEach((alert, alertIndex) => {
 					if (alert.message && alert.publishedAt) {
 						// Create unique alert ID
-						const alertId = `${deviceIndex}-${alert.publishedAt}-${alert.message}`;
+						const alertId = `${account.number}-${deviceKey}-${alert.publishedAt}-${alert.message}`;
+						const alertPath = `${account.path}.devices.${deviceKey}.alerts.${alertIndex}`;
+						this.staleObjects?.touch(alertPath);
 
 						// Check if alert is new
 						if (!this.processedAlerts.has(alertId)) {
 							this.processedAlerts.add(alertId);
 
 							// Log alert
-							this.log.warn(`Device Alert [${device.name || deviceIndex}]: ${alert.message} (${alert.publishedAt})`);
+							this.log.warn(`Device Alert [${device.name || deviceKey}]: ${alert.message} (${alert.publishedAt})`);
 
 							// Create alert state
-							const alertPath = `${this.name}.${this.instance}.devices.${deviceIndex}.alerts.${alertIndex}`;
 							this.setObjectNotExists(
 								alertPath,
 								{
@@ -788,8 +2699,9 @@ class Calamari extends utils.Adapter {
 	/**
 	 * Subscribe to device states for suspension control
 	 * @param {Array} devices - Array of devices
+	 * @param {AccountContext} account - Account runtime data
 	 */
-	subscribeDeviceStates(devices) {
+	subscribeDeviceStates(devices, account) {
 		if (!devices || !Array.isArray(devices)) {
 			return;
 		}
@@ -800,15 +2712,386 @@ class Calamari extends utils.Adapter {
 		}
 
 		devices.forEach((device, index) => {
-			const suspendedStatePath = `${this.name}.${this.instance}.devices.${index}.status.isSuspended`;
+			const devicePath = `${account.path}.devices.${this.getDeviceKey(device, index)}`;
+			const statePaths = this.hasDeviceControl(device, "suspend") ? [`${devicePath}.status.isSuspended`] : [];
+			if (device.preferences) {
+				for (const field of DEVICE_PREFERENCE_FIELDS) {
+					statePaths.push(`${devicePath}.preferences.${field}`);
+				}
+				if (this.hasDeviceControl(device, "boost")) {
+					statePaths.push(`${devicePath}.control.boostCharge`);
+				}
+				if (this.hasDeviceControl(device, "schedule")) {
+					for (const field of DEVICE_SCHEDULE_FIELDS) {
+						statePaths.push(`${devicePath}.preferences.${field}`);
+					}
+				}
+			}
+
+			for (const statePath of statePaths) {
+				// Only subscribe if we haven't already
+				if (!this.subscribedDevices.has(statePath)) {
+					this.subscribeStates(statePath);
+					this.subscribedDevices.add(statePath);
+					this.log.debug(`Subscribed to device ${device.name || index} of account ${account.number}: ${statePath}`);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Select the agreement that is valid right now, or the most recently started one
+	 * @param {Array<{validFrom: string|null, validTo: string|null}>} agreements - Agreements of a MaLo
+	 * @param {Date} now - Reference time
+	 * @returns {number} Index of the active agreement, -1 if none has started
+	 */
+	getActiveAgreementIndex(agreements, now) {
+		const time = now.getTime();
+		let activeIndex = -1;
+		let activeValid = false;
+		let activeFrom = -Infinity;
+
+		(agreements || []).forEach((agreement, index) => {
+			const from = agreement.validFrom ? Date.parse(agreement.validFrom) : -Infinity;
+			if (from > time) {
+				return;
+			}
+			const valid = !agreement.validTo || time < Date.parse(agreement.validTo);
+
+			// A valid agreement wins over ended ones, then the latest start
+			if (activeIndex < 0 || (valid && !activeValid) || (valid === activeValid && from >= activeFrom)) {
+				activeIndex = index;
+				activeValid = valid;
+				activeFrom = from;
+			}
+		});
+		return activeIndex;
+	}
+
+	/**
+	 * Publish the active agreement (product, validity, pricing path) of every MaLo of an account
+	 * and warn the configured number of days before it ends
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {Object} accountData - Account data from the API
+	 */
+	async processContracts(account, accountData) {
+		const now = new Date();
+		const warningDays = Number(this.config.contractWarningDays) || 0;
+		const basePath = `${account.path}.contract`;
+		let firstPricingPath = null;
+		let planningPricingPath = null;
+		let firstRateInfo = null;
+		let planningRateInfo = null;
+
+		await this.setObjectNotExistsAsync(basePath, {
+			type: "channel",
+			common: { name: N.contractChannel },
+			native: {},
+		});
+		await this.setObjectNotExistsAsync(`${basePath}.pricingPath`, {
+			type: "state",
+			common: {
+				name: N.contractPricingPath,
+				type: "string",
+				role: "text",
+				read: true,
+				write: false,
+			},
+			native: {},
+		});
+
+		const planningMalo = String(this.config.planningMalo || "").trim();
+		for (const [propIndex, property] of (accountData.allProperties || []).entries()) {
+			for (const [maloIndex, malo] of (property.electricityMalos || []).entries()) {
+				if (!malo.maloNumber) {
+					continue;
+				}
+				const agreementIndex = this.getActiveAgreementIndex(malo.agreements, now);
+				if (agreementIndex < 0) {
+					this.log.warn(`No active agreement found for MaLo ${malo.maloNumber}`);
+					continue;
+				}
+
+				const agreement = malo.agreements[agreementIndex];
+				const pricingPath = this.getPricingPath(property, propIndex, malo, maloIndex, agreementIndex);
+				if (!firstPricingPath) {
+					firstPricingPath = pricingPath;
+					firstRateInfo = agreement.unitRateInformation;
+				}
+				if (malo.maloNumber === planningMalo) {
+					planningPricingPath = pricingPath;
+					planningRateInfo = agreement.unitRateInformation;
+				}
+
+				const validTo = agreement.validTo ? Date.parse(agreement.validTo) : null;
+				const daysRemaining = validTo !== null ? Math.max(0, Math.floor((validTo - now.getTime()) / 86400000)) : null;
+				const expiring = warningDays > 0 && daysRemaining !== null && daysRemaining <= warningDays;
+
+				const maloPath = `${basePath}.${malo.maloNumber.replace(this.FORBIDDEN_CHARS, "_")}`;
+				await this.createContractStates(maloPath, malo.maloNumber);
+
+				const previous = await this.getStateAsync(`${maloPath}.expiring`);
+
+				await this.setStateAsync(`${maloPath}.productCode`, agreement.product?.code || "", true);
+				await this.setStateAsync(`${maloPath}.productName`, agreement.product?.fullName || "", true);
+				await this.setStateAsync(`${maloPath}.validFrom`, agreement.validFrom || "", true);
+				await this.setStateAsync(`${maloPath}.validTo`, agreement.validTo || "", true);
+				await this.setStateAsync(`${maloPath}.daysRemaining`, daysRemaining, true);
+				await this.setStateAsync(`${maloPath}.expiring`, expiring, true);
+				await this.setStateAsync(`${maloPath}.pricingPath`, pricingPath, true);
+
+				if (expiring && (!previous || previous.val !== true)) {
+					const endDate = new Date(/** @type {number} */ (validTo)).toLocaleDateString("de-DE");
+					this.log.warn(
+						`Agreement ${agreement.product?.fullName || agreement.product?.code || ""} of MaLo ${malo.maloNumber} ends on ${endDate} (${daysRemaining} days)`,
+					);
+					await this.sendNotification(
+						`📄 Octopus Vertrag läuft aus\n\n` +
+							`Tarif: ${agreement.product?.fullName || agreement.product?.code || "unbekannt"}\n` +
+							`MaLo: ${malo.maloNumber}\n` +
+							`Vertragsende: ${endDate} (noch ${daysRemaining} Tage)`,
+					);
+				}
+			}
+		}
+
+		// AI Mode and the Smart Charging Planner read the prices of the configured MaLo, or of the first one
+		if (planningMalo && !planningPricingPath && account.number === this.config.planningAccount) {
+			this.log.warn(`Planning MaLo ${planningMalo} not found in account ${account.number}, using the first MaLo`);
+		}
+		await this.setStateAsync(`${basePath}.pricingPath`, planningPricingPath || firstPricingPath || "", true);
+		account.tariffSlots = getTariffSlots(planningPricingPath ? planningRateInfo : firstRateInfo);
+	}
+
+	/**
+	 * Publish the ledger balances of an account in EUR, their change since the last update,
+	 * and alert when a balance drops below the configured threshold
+	 * @param {AccountContext} account - Account runtime data
+	 * @param {Object} accountData - Account data from the API
+	 */
+	async processLedgers(account, accountData) {
+		const basePath = `${account.path}.balance`;
+		const alertEnabled = Boolean(this.config.enableBalanceAlert);
+		const threshold = Number(this.config.lowBalanceThreshold) || 0;
+
+		await this.setObjectNotExistsAsync(basePath, {
+			type: "channel",
+			common: { name: N.balanceChannel },
+			native: {},
+		});
+
+		for (const ledger of accountData.ledgers || []) {
+			if (!ledger.ledgerType || ledger.balance === null || ledger.balance === undefined) {
+				continue;
+			}
+
+			// The API reports cents
+			const balance = centsToEuro(ledger.balance);
+			if (balance === null) {
+				continue;
+			}
+			const ledgerPath = `${basePath}.${ledger.ledgerType.replace(this.FORBIDDEN_CHARS, "_")}`;
+			await this.createLedgerStates(ledgerPath, ledger.ledgerType);
+
+			const previous = await this.getStateAsync(`${ledgerPath}.balance`);
+			const previousAlert = await this.getStateAsync(`${ledgerPath}.lowBalance`);
+
+			if (!previous || previous.val === null || previous.val !== balance) {
+				const change = previous && typeof previous.val === "number" ? Math.round((balance - previous.val) * 100) / 100 : 0;
+				await this.setStateAsync(`${ledgerPath}.balance`, balance, true);
+				await this.setStateAsync(`${ledgerPath}.change`, change, true);
+				await this.setStateAsync(`${ledgerPath}.lastChange`, Date.now(), true);
+				if (change !== 0) {
+					this.log.info(`Balance of ${ledger.ledgerType} (account ${account.number}) changed by ${change} € to ${balance} €`);
+				}
+			}
+
+			const lowBalance = alertEnabled && balance < threshold;
+			await this.setStateAsync(`${ledgerPath}.lowBalance`, lowBalance, true);
 
-			// Only subscribe if we haven't already
-			if (!this.subscribedDevices.has(suspendedStatePath)) {
-				this.subscribeStates(suspendedStatePath);
-				this.subscribedDevices.add(suspendedStatePath);
-				this.log.debug(`Subscribed to device ${index}: ${suspendedStatePath}`);
+			if (lowBalance && (!previousAlert || previousAlert.val !== true)) {
+				this.log.warn(`Balance of ${ledger.ledgerType} (account ${account.number}) is ${balance} €, below ${threshold} €`);
+				await this.sendNotification(
+					`💳 Octopus Kontostand niedrig\n\n` +
+						`Konto: ${account.number}\n` +
+						`Kontostand: ${balance.toFixed(2)} € (unter ${threshold.toFixed(2)} €)`,
+				);
 			}
+		}
+	}
+
+	/**
+	 * Create the states of a ledger
+	 * @param {string} ledgerPath - Object path of the ledger channel
+	 * @param {string} ledgerType - Ledger type from the API
+	 */
+	async createLedgerStates(ledgerPath, ledgerType) {
+		await this.setObjectNotExistsAsync(ledgerPath, {
+			type: "channel",
+			common: { name: ledgerType },
+			native: {},
+		});
+
+		const states = {
+			balance: { name: N.ledgerBalance, type: "number", role: "value", unit: "€" },
+			change: { name: N.ledgerChange, type: "number", role: "value", unit: "€" },
+			lastChange: { name: N.ledgerLastChange, type: "number", role: "date" },
+			lowBalance: { name: N.ledgerLowBalance, type: "boolean", role: "indicator.alarm" },
+		};
+		for (const [key, definition] of Object.entries(states)) {
+			await this.setObjectNotExistsAsync(`${ledgerPath}.${key}`, {
+				type: "state",
+				common: {
+					name: definition.name,
+					type: /** @type {ioBroker.CommonType} */ (definition.type),
+					role: definition.role,
+					read: true,
+					write: false,
+					...(definition.unit ? { unit: definition.unit } : {}),
+				},
+				native: {},
+			});
+		}
+	}
+
+	/**
+	 * Create the contract states of a MaLo
+	 * @param {string} maloPath - Object path of the MaLo contract channel
+	 * @param {string} maloNumber - Market location (MaLo) number
+	 */
+	async createContractStates(maloPath, maloNumber) {
+		await this.setObjectNotExistsAsync(maloPath, {
+			type: "channel",
+			common: { name: `MaLo ${maloNumber}` },
+			native: {},
+		});
+
+		const states = {
+			productCode: { name: N.contractProductCode, type: "string", role: "text" },
+			productName: { name: N.contractProductName, type: "string", role: "text" },
+			validFrom: { name: N.contractValidFrom, type: "string", role: "date.start" },
+			validTo: { name: N.contractValidTo, type: "string", role: "date.end" },
+			daysRemaining: { name: N.contractDaysRemaining, type: "number", role: "value", unit: "d" },
+			expiring: { name: N.contractExpiring, type: "boolean", role: "indicator.alarm" },
+			pricingPath: { name: N.contractPricingPath, type: "string", role: "text" },
+		};
+		for (const [key, definition] of Object.entries(states)) {
+			await this.setObjectNotExistsAsync(`${maloPath}.${key}`, {
+				type: "state",
+				common: {
+					name: definition.name,
+					type: /** @type {ioBroker.CommonType} */ (definition.type),
+					role: definition.role,
+					read: true,
+					write: false,
+					...(definition.unit ? { unit: definition.unit } : {}),
+				},
+				native: {},
+			});
+		}
+	}
+
+	/**
+	 * Split the gross rate history of a rate into the rate valid today and the next announced one
+	 * @param {Array<{date: string, grossRate: string, rateValidToDate: string|null}>} grossRateInformation - Rates with their validity
+	 * @param {Date} now - Reference time
+	 * @returns {{current: Object|null, next: Object|null}} Current and next rate entry
+	 */
+	getRateChange(grossRateInformation, now) {
+		const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+		const entries = (grossRateInformation || [])
+			.filter((entry) => entry && entry.date && entry.grossRate !== null && entry.grossRate !== undefined)
+			.sort((a, b) => a.date.localeCompare(b.date));
+
+		// Dates are ISO (YYYY-MM-DD), so string comparison orders them
+		const started = entries.filter(
+			(entry) => entry.date.substring(0, 10) <= today && (!entry.rateValidToDate || entry.rateValidToDate.substring(0, 10) >= today),
+		);
+		return {
+			current: started.length > 0 ? started[started.length - 1] : null,
+			next: entries.find((entry) => entry.date.substring(0, 10) > today) || null,
+		};
+	}
+
+	/**
+	 * Publish the validity end of the current rate and the next announced rate,
+	 * and send a notification when Octopus announces a new price
+	 * @param {string} ratePath - Object path of the rate (agreement or timeslot)
+	 * @param {Array} grossRateInformation - grossRateInformation of the rate
+	 * @param {string} [label] - Timeslot name for the notification
+	 */
+	async processRateChanges(ratePath, grossRateInformation, label) {
+		if (!Array.isArray(grossRateInformation)) {
+			return;
+		}
+
+		const { current, next } = this.getRateChange(grossRateInformation, new Date());
+
+		await this.setObjectNotExistsAsync(`${ratePath}.rateValidTo`, {
+			type: "state",
+			common: {
+				name: N.rateValidTo,
+				type: "string",
+				role: "date",
+				read: true,
+				write: false,
+			},
+			native: {},
+		});
+		await this.setObjectNotExistsAsync(`${ratePath}.nextGrossRate`, {
+			type: "state",
+			common: {
+				name: N.nextGrossRate,
+				type: "number",
+				role: "value.price",
+				read: true,
+				write: false,
+				unit: "ct/kWh",
+			},
+			native: {},
+		});
+		await this.setObjectNotExistsAsync(`${ratePath}.nextRateFrom`, {
+			type: "state",
+			common: {
+				name: N.nextRateFrom,
+				type: "string",
+				role: "date",
+				read: true,
+				write: false,
+			},
+			native: {},
 		});
+
+		// The last announcement is kept in the states, so a restart does not notify again. Without
+		// previous states (first run after installing or upgrading) the announcement is only stored.
+		const previousFrom = await this.getStateAsync(`${ratePath}.nextRateFrom`);
+		const previousRate = await this.getStateAsync(`${ratePath}.nextGrossRate`);
+
+		const nextRate = next ? parseFloat(next.grossRate) : null;
+		const nextFrom = next ? next.date.substring(0, 10) : "";
+
+		await this.setStateAsync(`${ratePath}.rateValidTo`, current && current.rateValidToDate ? current.rateValidToDate : "", true);
+		await this.setStateAsync(`${ratePath}.nextGrossRate`, nextRate, true);
+		await this.setStateAsync(`${ratePath}.nextRateFrom`, nextFrom, true);
+
+		const announced =
+			next && previousFrom && (previousFrom.val !== nextFrom || !previousRate || previousRate.val !== nextRate);
+		if (announced) {
+			const currentRate = current ? parseFloat(current.grossRate) : null;
+			const name = label ? ` (${label})` : "";
+			this.log.info(
+				`Price change announced for ${ratePath}${name}: ${currentRate ?? "?"} -> ${nextRate} ct/kWh from ${nextFrom}`,
+			);
+
+			const message =
+				`💶 Octopus Preisänderung angekündigt${name}\n\n` +
+				`Aktueller Preis: ${currentRate !== null ? `${currentRate} ct/kWh` : "unbekannt"}\n` +
+				`Neuer Preis: ${nextRate} ct/kWh\n` +
+				`Gültig ab: ${new Date(nextFrom).toLocaleDateString("de-DE")}`;
+			if (this.config.notifyPriceChanges) {
+				await this.sendNotification(message);
+			}
+		}
 	}
 
 	/**
@@ -925,9 +3208,18 @@ class Calamari extends utils.Adapter {
 			const evccMode = String(evccModeState.val);
 			this.log.debug(`Current EVCC mode: ${evccMode}`);
 
-			// Check calamari suspension status
-			const suspendedPath = `${this.name}.${this.instance}.devices.0.status.isSuspended`;
-			const suspendedState = await this.getStateAsync("devices.0.status.isSuspended");
+			// Check calamari suspension status of the first charging device of the planning account
+			const planningAccount = this.accounts.get(this.config.planningAccount);
+			const chargingIndex = planningAccount
+				? (planningAccount.devices || []).findIndex((device) => this.hasDeviceControl(device, "boost"))
+				: -1;
+			if (!planningAccount || chargingIndex < 0) {
+				this.log.debug("No vehicle or charge point in the planning account, skipping check");
+				return;
+			}
+			const chargingKey = this.getDeviceKey(planningAccount.devices[chargingIndex], chargingIndex);
+			const suspendedPath = `${planningAccount.path}.devices.${chargingKey}.status.isSuspended`;
+			const suspendedState = await this.getStateAsync(suspendedPath);
 
 			let isSuspended = true;
 			if (suspendedState && suspendedState.val !== null) {
@@ -1044,6 +3336,35 @@ class Calamari extends utils.Adapter {
 						return errorResponse;
 					}
 
+				case 'submitMeterReading': {
+					const message = obj.message || {};
+					const readAt = message.readAt ? new Date(message.readAt) : new Date();
+					const response = await this.submitMeterReading(message.maloNumber, Number(message.value), readAt);
+					if (!response.success) {
+						this.log.error(`Meter reading submission failed: ${response.error}`);
+					}
+					if (obj.callback) {
+						this.sendTo(obj.from, obj.command, response, obj.callback);
+					}
+					return response;
+				}
+
+				case 'boostCharge': {
+					// message: { account?: string, device?: string|number (ID, name or index), cancel?: boolean }
+					const message = obj.message || {};
+					const account = this.accounts.get(String(message.account || this.config.planningAccount));
+					const response = account
+						? await this.setBoostCharge(account, message.device ?? 0, message.cancel !== true)
+						: { success: false, error: `Unknown account: ${message.account}` };
+					if (!response.success) {
+						this.log.error(`Boost charge command failed: ${response.error}`);
+					}
+					if (obj.callback) {
+						this.sendTo(obj.from, obj.command, response, obj.callback);
+					}
+					return response;
+				}
+
 				default:
 					this.log.warn(`Unknown command: ${obj.command}`);
 					const unknownResponse = { error: 'Unknown command' };
@@ -1078,6 +3399,28 @@ class Calamari extends utils.Adapter {
 				this.phaseCheckInterval = null;
 			}
 
+			// Clear the price timers
+			for (const account of this.accounts.values()) {
+				if (account.priceTimer) {
+					clearTimeout(account.priceTimer);
+					account.priceTimer = null;
+				}
+			}
+
+			// Clear the consumption interval
+			if (this.consumptionInterval) {
+				this.log.info("Stopping consumption interval");
+				clearInterval(this.consumptionInterval);
+				this.consumptionInterval = null;
+			}
+
+			// Clear the cost interval
+			if (this.costInterval) {
+				this.log.info("Stopping cost interval");
+				clearInterval(this.costInterval);
+				this.costInterval = null;
+			}
+
 			// Stop the token manager auto-refresh
 			if (this.octopusGermany && this.octopusGermany.stopTokenRefresh) {
 				this.log.info("Stopping token refresh");
@@ -1169,41 +3512,112 @@ class Calamari extends utils.Adapter {
 			return;
 		}
 
+		// Check if this is a charge schedule change
+		const scheduleMatch = id.match(
+			new RegExp(
+				`^${this.name}\\.${this.instance}\\.accounts\\.([^.]+)\\.chargeSchedule\\.(${SCHEDULE_DAYS.join("|")})\\.(targetSoc|targetTime)$`,
+			),
+		);
+		if (scheduleMatch) {
+			const account = this.accounts.get(scheduleMatch[1]);
+			if (account) {
+				await this.handleChargeScheduleChange(account, scheduleMatch[2], scheduleMatch[3], state.val);
+			}
+			return;
+		}
+
+		// Check if this is a device preference change
+		const preferenceMatch = id.match(
+			new RegExp(
+				`^${this.name}\\.${this.instance}\\.accounts\\.([^.]+)\\.devices\\.([^.]+)\\.preferences\\.(${[...DEVICE_PREFERENCE_FIELDS, ...DEVICE_SCHEDULE_FIELDS].join("|")})$`,
+			),
+		);
+		if (preferenceMatch) {
+			const account = this.accounts.get(preferenceMatch[1]);
+			if (account) {
+				await this.handleDevicePreferenceChange(account, preferenceMatch[2], preferenceMatch[3], id, state);
+			}
+			return;
+		}
+
+		// Check if this is a boost charge change
+		const boostMatch = id.match(
+			new RegExp(`^${this.name}\\.${this.instance}\\.accounts\\.([^.]+)\\.devices\\.([^.]+)\\.control\\.boostCharge$`),
+		);
+		if (boostMatch) {
+			const account = this.accounts.get(boostMatch[1]);
+			if (account) {
+				const result = await this.setBoostCharge(account, boostMatch[2], state.val === true);
+				if (!result.success) {
+					this.log.error(`Boost charge change failed: ${result.error}`);
+					// Reset state to the boost state reported by the device
+					const device = this.findDevice(account, boostMatch[2])?.device;
+					await this.setStateAsync(id, device ? this.isBoosting(device) : state.val !== true, true);
+				}
+			}
+			return;
+		}
+
+		// Check if this is a meter reading submission
+		const meterReadingMatch = id.match(
+			new RegExp(`^${this.name}\\.${this.instance}\\.meter\\.([^.]+)\\.submitReading$`),
+		);
+		if (meterReadingMatch) {
+			const meter = this.meters.get(meterReadingMatch[1]);
+			const result = await this.submitMeterReading(meter ? meter.maloNumber : meterReadingMatch[1], Number(state.val));
+			if (result.success) {
+				await this.setStateAsync(id, state.val, true);
+			} else {
+				this.log.error(`Meter reading submission failed: ${result.error}`);
+			}
+			return;
+		}
+
 		// Check if this is a device suspension state change
 		const deviceSuspendedPattern = new RegExp(
-			`^${this.name}\\.${this.instance}\\.devices\\.(\\d+)\\.status\\.isSuspended$`,
+			`^${this.name}\\.${this.instance}\\.accounts\\.([^.]+)\\.devices\\.([^.]+)\\.status\\.isSuspended$`,
 		);
 		const match = id.match(deviceSuspendedPattern);
 
 		if (match) {
-			const deviceIndex = match[1];
-			const vehicleIdState = `${this.name}.${this.instance}.devices.${deviceIndex}.id`;
-			this.log.debug(`Getting vehicle ID from state: ${vehicleIdState}`);
+			const accountNumber = match[1];
+			const deviceKey = match[2];
+			const account = this.accounts.get(accountNumber);
+			const device = account ? this.findDevice(account, deviceKey)?.device : null;
+			if (device && !this.hasDeviceControl(device, "suspend")) {
+				this.log.warn(`Device ${deviceKey} (${this.getDeviceProfile(device).kind}) cannot be suspended`);
+				await this.setStateAsync(id, device.status?.isSuspended ?? null, true);
+				return;
+			}
+			const deviceIdState = `${this.name}.${this.instance}.accounts.${accountNumber}.devices.${deviceKey}.id`;
+			this.log.debug(`Getting device ID from state: ${deviceIdState}`);
 
 			try {
-				const idState = await this.getStateAsync(vehicleIdState);
+				const idState = await this.getStateAsync(deviceIdState);
 
 				if (idState && idState.val) {
-					const carID = idState.val;
+					const deviceId = idState.val;
 					const action = state.val === true ? "SUSPEND" : "UNSUSPEND";
-					this.log.info(`Changing suspension for device ${deviceIndex} (ID: ${carID}): ${action}`);
+					this.log.info(
+						`Changing suspension for device ${deviceKey} of account ${accountNumber} (ID: ${deviceId}): ${action}`,
+					);
 
-					const result = await this.octopusGermany.changeDeviceSuspension(carID, action);
+					const result = await this.octopusGermany.changeDeviceSuspension(deviceId, action);
 
 					if (result) {
 						// Acknowledge the state change
 						await this.setStateAsync(id, state.val, true);
-						this.log.info(`Successfully ${action}ed device ${deviceIndex}`);
+						this.log.info(`Successfully ${action}ed device ${deviceKey}`);
 					} else {
-						this.log.error(`Failed to ${action} device ${deviceIndex}`);
+						this.log.error(`Failed to ${action} device ${deviceKey}`);
 						// Reset state to previous value
 						await this.setStateAsync(id, !state.val, true);
 					}
 				} else {
-					this.log.warn(`Vehicle ID state ${vehicleIdState} not found or empty`);
+					this.log.warn(`Device ID state ${deviceIdState} not found or empty`);
 				}
 			} catch (err) {
-				this.log.error(`Error handling suspension change for device ${deviceIndex}: ${err}`);
+				this.log.error(`Error handling suspension change for device ${deviceKey}: ${err}`);
 			}
 		}
 	}
@@ -1220,7 +3634,7 @@ class Calamari extends utils.Adapter {
 		const basePathParts = basePath.split(".");
 		const folderName = basePathParts[basePathParts.length - 1];
 
-		this.setObjectNotExists(basePath, {
+		await this.setObjectNotExistsAsync(basePath, {
 			type: "channel",
 			common: {
 				name: folderName,
@@ -1228,16 +3642,22 @@ class Calamari extends utils.Adapter {
 			native: {},
 		});
 
+		// Everything written below is part of the latest snapshot of this subtree
+		this.staleObjects?.begin(basePath);
+
 		// Funktion zum rekursiven Durchlaufen des JSON-Objekts
-		const processJsonObject = (obj, currentPath) => {
+		const processJsonObject = async (obj, currentPath) => {
+			// Known fields are looked up with the name of the containing object, e.g. preferences.mode
+			const parent = currentPath.substring(currentPath.lastIndexOf(".") + 1);
 			for (const key in obj) {
 				if (obj.hasOwnProperty(key)) {
 					const value = obj[key];
 					const dpPath = `${currentPath}.${key}`;
+					this.staleObjects?.touch(dpPath);
 
 					if (value !== null && typeof value === "object" && !Array.isArray(value)) {
 						// Wenn es sich um ein Objekt handelt, erstelle einen Channel und gehe rekursiv weiter
-						this.setObjectNotExists(dpPath, {
+						await this.setObjectNotExistsAsync(dpPath, {
 							type: "channel",
 							common: {
 								name: key,
@@ -1245,83 +3665,107 @@ class Calamari extends utils.Adapter {
 							native: {},
 						});
 
-						processJsonObject(value, dpPath);
+						await processJsonObject(value, dpPath);
 					} else if (Array.isArray(value)) {
 						// Wenn es sich um ein Array handelt
-						this.setObjectNotExists(dpPath, {
-							type: "state",
-							common: {
-								name: key,
-								type: "array",
-								role: "json",
-								read: true,
-								write: true,
-							},
-							native: {},
-						});
+						await this.createMirroredStateObject(
+							dpPath,
+							key,
+							getFieldSchema(key, parent) || { type: "array", role: "json" },
+						);
 
 						// Setze den Wert als JSON-String
-						this.setState(dpPath, { val: JSON.stringify(value), ack: true });
+						await this.setStateAsync(dpPath, { val: JSON.stringify(value), ack: true });
 
 						// Optional: Erstelle individuelle Datenpunkte für Array-Elemente
-						value.forEach((item, index) => {
+						for (const [index, item] of value.entries()) {
 							if (typeof item !== "object") {
-								this.setObjectNotExists(`${dpPath}.${index}`, {
+								await this.setObjectNotExistsAsync(`${dpPath}.${index}`, {
 									type: "state",
 									common: {
 										name: `${key} [${index}]`,
-										type: typeof item,
+										type: /** @type {ioBroker.CommonType} */ (typeof item),
 										role: "value",
 										read: true,
-										write: true,
+										write: false,
 									},
 									native: {},
 								});
 
-								this.setState(`${dpPath}.${index}`, { val: item, ack: true });
+								await this.setStateAsync(`${dpPath}.${index}`, { val: item, ack: true });
+								this.staleObjects?.touch(`${dpPath}.${index}`);
 							}
-						});
-					} else {
-						// Bestimme den Datentyp und erstelle einen entsprechenden Datenpunkt
-						let dataType = typeof value;
-						let role = "value";
-
-						// Spezifischere Rollen basierend auf Namen oder Werten zuweisen
-						if (key.toLowerCase().includes("temp")) {
-							role = "value.temperature";
-						} else if (key.toLowerCase().includes("humidity") || key.toLowerCase().includes("feuchte")) {
-							role = "value.humidity";
-						} else if (dataType === "boolean") {
-							role = "indicator";
-						} else if (key.toLowerCase().includes("status")) {
-							role = "text";
 						}
+					} else {
+						// Known Kraken fields are typed and converted by the field schema
+						const schema = getFieldSchema(key, parent);
+						const stateValue = schema && schema.convert && value !== null ? schema.convert(value) : value;
+
+						if (schema) {
+							await this.createMirroredStateObject(dpPath, key, schema);
+						} else {
+							// Bestimme den Datentyp und erstelle einen entsprechenden Datenpunkt
+							let dataType = typeof value;
+							let role = "value";
+
+							// Spezifischere Rollen basierend auf Namen oder Werten zuweisen
+							if (key.toLowerCase().includes("temp")) {
+								role = "value.temperature";
+							} else if (key.toLowerCase().includes("humidity") || key.toLowerCase().includes("feuchte")) {
+								role = "value.humidity";
+							} else if (dataType === "boolean") {
+								role = "indicator";
+							} else if (key.toLowerCase().includes("status")) {
+								role = "text";
+							}
 
-						this.setObjectNotExists(dpPath, {
-							type: "state",
-							common: {
-								name: key,
-								type: dataType,
+							await this.createMirroredStateObject(dpPath, key, {
+								type: /** @type {ioBroker.CommonType} */ (dataType),
 								role: role,
-								read: true,
-								write: true,
-							},
-							native: {},
-						});
+							});
+						}
 
-						// Only update state if value has changed
-						this.getState(dpPath, (err, state) => {
-							if (err || !state || state.val !== value) {
-								this.setState(dpPath, { val: value, ack: true });
-							}
-						});
+						// Only update state if value has changed, or to reset the quality of a state marked as unavailable
+						const state = await this.getStateAsync(dpPath);
+						if (!state || state.val !== stateValue || state.q) {
+							await this.setStateAsync(dpPath, { val: stateValue, ack: true });
+						}
 					}
 				}
 			}
 		};
 
 		// Starte die Verarbeitung
-		processJsonObject(jsonData, basePath);
+		await processJsonObject(jsonData, basePath);
+	}
+
+	/**
+	 * Create a mirrored state from its field schema. Objects of former versions are updated once
+	 * per run, so existing installations get the roles, units and read-only flags as well.
+	 * @param {string} id - State ID
+	 * @param {string} key - Field name
+	 * @param {{type: ioBroker.CommonType, role: string, unit?: string, write?: boolean}} schema - Field schema
+	 */
+	async createMirroredStateObject(id, key, schema) {
+		const common = {
+			name: key,
+			type: schema.type,
+			role: schema.role,
+			read: true,
+			write: schema.write === true,
+		};
+		if (schema.unit) {
+			common.unit = schema.unit;
+		}
+
+		if (!this.schemaObjects.has(id)) {
+			this.schemaObjects.add(id);
+			try {
+				await this.extendObjectAsync(id, { type: "state", common, native: {} });
+			} catch (error) {
+				this.log.warn(`Failed to update object ${id}: ${error.message}`);
+			}
+		}
 	}
 }
 
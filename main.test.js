@@ -27,3 +27,77 @@ describe("module to test => function to test", () => {
 });
 
 // ... more test suites => describe
+
+describe("Calamari => replay of a recorded scenario", () => {
+	const fs = require("fs");
+	const os = require("os");
+	const path = require("path");
+	const proxyquire = require("proxyquire").noCallThru();
+	const sinon = require("sinon");
+	const { MockDatabase } = require("@iobroker/testing");
+	const { mockAdapterCore } = require("@iobroker/testing/build/tests/unit/mocks/mockAdapterCore");
+
+	// Pseudonyms of the account numbers A-1111AAAA and A-2222BBBB in the recorded responses
+	const PLANNING = "calamari.0.accounts.masked-fdd64a51";
+	const SECOND = "calamari.0.accounts.masked-ba6fd2f1";
+
+	let database;
+	let adapter;
+	let clock;
+
+	before(async function () {
+		this.timeout(10000);
+		database = new MockDatabase();
+		const createAdapter = proxyquire("./main", { "@iobroker/adapter-core": mockAdapterCore(database) });
+		adapter = createAdapter({
+			config: {
+				email: "user@example.com",
+				password: "secret",
+				pollInterval: 60,
+				fixtureMode: "replay",
+				fixturePath: path.join(__dirname, "test", "fixtures", "twoAccounts"),
+			},
+		});
+		await adapter.onReady();
+	});
+
+	after(() => {
+		clock?.restore();
+		adapter.onUnload(() => {});
+		fs.rmSync(path.join(os.tmpdir(), "test-iobroker-data", "calamari.0"), { recursive: true, force: true });
+	});
+
+	it("should mirror both accounts offline", () => {
+		expect(database.getState("calamari.0.info.connection")).to.include({ val: true });
+		expect(adapter.octopusGermany.lastError).to.equal(null);
+
+		const deviceTypes = (accountPath) =>
+			Object.entries(database.getStates(`${accountPath}.devices.*.deviceType`)).map(([, state]) => state.val);
+		expect(deviceTypes(PLANNING)).to.deep.equal(["ELECTRIC_VEHICLES"]);
+		expect(deviceTypes(SECOND)).to.deep.equal(["CHARGE_POINTS"]);
+
+		expect(database.getState(`${PLANNING}.balance.ELECTRICITY_LEDGER.balance`)).to.include({ val: 12.5 });
+		expect(database.getState(`${SECOND}.balance.ELECTRICITY_LEDGER.balance`)).to.include({ val: -3 });
+	});
+
+	it("should detect the recorded cheap phase", () => {
+		expect(database.getState(`${PLANNING}.cheapPhase.active`)).to.include({ val: true });
+		expect(database.getState(`${PLANNING}.cheapPhase.current.deltaKwh`)).to.include({ val: 5.5 });
+		expect(database.getState(`${PLANNING}.cheapPhase.current.remainingMinutes`).val).to.be.within(49, 51);
+		expect(database.getState(`${PLANNING}.dispatches.planned.count`)).to.include({ val: 2 });
+		expect(database.getState(`${SECOND}.cheapPhase.active`)).to.include({ val: false });
+	});
+
+	it("should replay the section queries of a later poll", async () => {
+		// All section caches and the token have expired two hours later
+		clock = sinon.useFakeTimers({ now: Date.now() + 2 * 3600000, toFake: ["Date"] });
+		const requests = adapter.octopusGermany.getHealth().requestCount;
+
+		await adapter.fetchDataFromAPI();
+
+		// Token refresh and the account, devices and dispatches query of both accounts
+		expect(adapter.octopusGermany.getHealth().requestCount - requests).to.equal(7);
+		expect(adapter.octopusGermany.lastError).to.equal(null);
+		expect(database.getState(`${PLANNING}.cheapPhase.active`)).to.include({ val: true });
+	});
+});